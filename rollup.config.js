@@ -101,5 +101,21 @@ export default [
         runtimeHelpers: true
       })
     ]
+  },
+  {
+    input: 'test/session.js',
+    output: {
+      file: 'build/session.js',
+      format: 'iife',
+      sourcemap: true
+    },
+    plugins: [
+      resolve(),
+      commonjs(),
+      babel({
+        exclude: 'node_modules/**',
+        runtimeHelpers: true
+      })
+    ]
   }
 ];
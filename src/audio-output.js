@@ -0,0 +1,105 @@
+/*
+ * The AudioOutput is the end of the Web Audio graph that the browser
+ * speakers (see speaker.js and gapless-speaker.js) play through. Every
+ * song is connected to its 'input' node, so anything that should apply
+ * to all music - such as analysis for visualizers - hangs off of here:
+ *
+ *   song -> song gain -+
+ *   song -> song gain -+-> input -> effects -> duck -> analyser -> destination
+ *
+ * The effects (see effects.js) are replaced with setEffects(), and the
+ * duck gain (see ducker.js) is moved with setDuckLevel().
+ *
+ * The analyser is returned from speaker.getAnalyserNode(), so clients
+ * can read frequency and waveform data from it, or connect it to nodes
+ * of their own. createFrameReader() reads both at once, for the Player's
+ * 'audio-frame' event.
+ */
+
+import log from './log';
+import { createEffectNodes } from './effects';
+import { holdVolume } from './fades';
+
+const FFT_SIZE = 2048;
+
+// Return a function that reads the frequency (0-255 per frequency bin)
+// and waveform (0-255 per sample, with 128 being silence) data for the
+// music passing through 'analyser' right now. The same arrays are
+// refilled on every call.
+export function createFrameReader(analyser) {
+  var frame = {
+    frequency: new Uint8Array(analyser.frequencyBinCount),
+    waveform: new Uint8Array(analyser.fftSize)
+  };
+
+  return function () {
+    analyser.getByteFrequencyData(frame.frequency);
+    analyser.getByteTimeDomainData(frame.waveform);
+
+    return frame;
+  };
+}
+
+class AudioOutput {
+
+  constructor(audioContext, effects) {
+    this.audioContext = audioContext;
+
+    this.input = audioContext.createGain();
+
+    this.analyser = audioContext.createAnalyser();
+    this.analyser.fftSize = FFT_SIZE;
+
+    this.duck = audioContext.createGain();
+    this.duck.connect(this.analyser);
+
+    this.analyser.connect(audioContext.destination);
+
+    this._effectNodes = [];
+    this.setEffects(effects);
+  }
+
+  // replace the current effects with the given list of effects, as
+  // described in effects.js
+  setEffects(effects) {
+    var nodes = [];
+
+    for (let effect of (effects || [])) {
+      try {
+        nodes = nodes.concat(createEffectNodes(this.audioContext, effect));
+      } catch (e) {
+        log('unable to create audio effect, so skipping it', e);
+      }
+    }
+
+    this.input.disconnect();
+    for (let node of this._effectNodes) {
+      node.disconnect();
+    }
+
+    this._effectNodes = nodes;
+
+    var previous = this.input;
+    for (let node of nodes.concat(this.duck)) {
+      previous.connect(node);
+      previous = node;
+    }
+  }
+
+  // ramp the duck gain to 'level' (0..1) over 'rampMs' milliseconds
+  setDuckLevel(level, rampMs) {
+    var now = this.audioContext.currentTime;
+    var gain = this.duck.gain;
+
+    holdVolume(gain, now);
+
+    if (rampMs > 0) {
+      gain.linearRampToValueAtTime(level, now + (rampMs / 1000));
+    } else {
+      gain.setValueAtTime(level, now);
+    }
+  }
+
+}
+
+export default AudioOutput;
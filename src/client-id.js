@@ -3,6 +3,8 @@ import { getCookie, setCookie, removeCookie } from 'tiny-cookie';
 import log from './log';
 import { repeatAfter } from './util';
 import { getBaseUrl } from './base-url';
+import { getTransport, checkResponse } from './transport';
+import { ServerError } from './errors';
 
 const cookieName = 'cid';
 let clientPromise;
@@ -34,17 +36,19 @@ function _deleteStoredCid() {
   }
 }
 
-// hit the server up for a client id and return it to the callback
-function _requestClientId(onSuccess, delay) {
+// hit the server up for a client id, through 'transport' (or the global
+// transport when that is null), and return it to the callback
+function _requestClientId(transport, onSuccess, delay) {
   // see if we've got a cookie
   var clientId = _getStoredCid();
 
   if (clientId) {
     return onSuccess(clientId);
   } else {
-    fetch(getBaseUrl() + '/api/v2/client', {
+    (transport || getTransport())(getBaseUrl() + '/api/v2/client', {
       method: 'POST',
     })
+      .then(checkResponse)
       .then((response) => response.json())
       .then(function (response) {
         if (response.success) {
@@ -52,22 +56,15 @@ function _requestClientId(onSuccess, delay) {
         } else {
           repeatAfter(delay, 2000, function (newDelay) {
             // retry until the end of time
-            _requestClientId(onSuccess, newDelay);
+            _requestClientId(transport, onSuccess, newDelay);
           });
         }
       })
-      .catch(function (response) {
-        if (response.status === 403) {
-          try {
-            var fullResponse = JSON.parse(response.responseText);
-            log('error trying to get client id:', fullResponse);
-
-          } catch (e) {
-            // some other response - fall through and try again
-            log('unknown response for client id request', e.message);
-          }
+      .catch(function (error) {
+        if (error instanceof ServerError) {
+          log('error trying to get client id:', error.status, error.body);
         } else {
-          log('unknown client id response status', response.status);
+          log('unable to request client id', error.message);
         }
 
         repeatAfter(delay, 2000, function (newDelay) {
@@ -78,10 +75,12 @@ function _requestClientId(onSuccess, delay) {
   }
 }
 
-export function getClientId() {
+// The client id is shared by everything on the page, so only the first
+// caller's 'transport' (see transport.js) is used to request it.
+export function getClientId(transport) {
   if (!clientPromise) {
     clientPromise = new Promise((resolve) => {
-      _requestClientId((clientId) => {
+      _requestClientId(transport || null, (clientId) => {
         _setStoredCid(clientId);
 
         resolve(clientId);
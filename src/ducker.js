@@ -0,0 +1,228 @@
+/*
+ * The Ducker lowers the volume of music while something else - such as
+ * an instructor cue or an announcement - is talking over it. The Player
+ * and SimulcastPlayer each have one, and expose its methods as their own:
+ *
+ *   duck(level, options): lower music to 'level' (0..1, default 0.25)
+ *     until unduck() is called
+ *   unduck(options): undo duck()
+ *   duckWhile(promise, level, options): duck until 'promise' settles, and
+ *     return a Promise with the same outcome
+ *   autoDuck(source, level, options): duck whenever 'source', which is an
+ *     HTMLMediaElement or a MediaStream, is playing
+ *   removeAutoDuck(source): stop watching 'source'
+ *
+ * destroy() stops watching every autoDuck() source, and is called when the
+ * Player is destroyed.
+ *
+ * 'options' may hold 'attackMs' (default 250), the number of milliseconds
+ * it takes the music to drop to 'level', and 'releaseMs' (default 500),
+ * the number of milliseconds it takes to come back up afterwards.
+ *
+ * These can overlap - the music stays at the lowest level asked for until
+ * everything that asked for it is done. Ducking is applied by the speaker
+ * (see setDuckLevel() in speaker.js), separately from the volume, so
+ * getVolume() is unaffected.
+ */
+
+import log from './log';
+
+const DEFAULT_LEVEL = 0.25;
+const DEFAULT_ATTACK_MS = 250;
+const DEFAULT_RELEASE_MS = 500;
+
+const MEDIA_ELEMENT_EVENTS = [ 'play', 'playing', 'pause', 'ended', 'emptied' ];
+const MEDIA_STREAM_EVENTS = [ 'addtrack', 'removetrack', 'active', 'inactive' ];
+const MEDIA_TRACK_EVENTS = [ 'ended', 'mute', 'unmute' ];
+
+function isMediaStream(source) {
+  return typeof source.getAudioTracks === 'function';
+}
+
+function isPlaying(source) {
+  if (isMediaStream(source)) {
+    return source.active && source.getAudioTracks().some((track) => (track.readyState === 'live') && track.enabled && !track.muted);
+  }
+
+  return !source.paused && !source.ended;
+}
+
+// call 'update' whenever 'source' might have started or stopped playing,
+// and return a function that stops doing that
+function watch(source, update) {
+  var listening = [];
+
+  var listen = (target, events) => {
+    for (let event of events) {
+      target.addEventListener(event, update);
+      listening.push([ target, event ]);
+    }
+  };
+
+  if (isMediaStream(source)) {
+    listen(source, MEDIA_STREAM_EVENTS);
+
+    for (let track of source.getAudioTracks()) {
+      listen(track, MEDIA_TRACK_EVENTS);
+    }
+
+    // tracks added later need watching too
+    var onAddTrack = (event) => listen(event.track, MEDIA_TRACK_EVENTS);
+    source.addEventListener('addtrack', onAddTrack);
+    listening.push([ source, 'addtrack', onAddTrack ]);
+
+  } else {
+    listen(source, MEDIA_ELEMENT_EVENTS);
+
+  }
+
+  return () => {
+    for (let [ target, event, listener ] of listening) {
+      target.removeEventListener(event, listener || update);
+    }
+  };
+}
+
+class Ducker {
+
+  constructor(speaker) {
+    this._speaker = speaker;
+
+    this._holds = [];     // { level, attackMs, releaseMs } for everything ducking the music
+    this._manual = null;  // hold from duck()
+    this._sources = [];   // { source, hold, detach } for every autoDuck() source
+    this._level = 1;
+  }
+
+  duck(level, options) {
+    var previous = this._manual;
+
+    this._manual = this._hold(level, options);
+
+    if (previous) {
+      this._release(previous);
+    }
+  }
+
+  unduck(options) {
+    var hold = this._manual;
+
+    if (!hold) {
+      return;
+    }
+
+    this._manual = null;
+
+    if (options && ('releaseMs' in options)) {
+      hold.releaseMs = options.releaseMs;
+    }
+
+    this._release(hold);
+  }
+
+  duckWhile(promise, level, options) {
+    var hold = this._hold(level, options);
+
+    return Promise.resolve(promise)
+      .then((value) => {
+        this._release(hold);
+        return value;
+
+      }, (error) => {
+        this._release(hold);
+        throw error;
+
+      });
+  }
+
+  autoDuck(source, level, options) {
+    this.removeAutoDuck(source);
+
+    var entry = { source: source, hold: null, detach: null };
+
+    var update = () => {
+      var playing = isPlaying(source);
+
+      if (playing && !entry.hold) {
+        log('auto-ducking music');
+        entry.hold = this._hold(level, options);
+
+      } else if (!playing && entry.hold) {
+        log('auto-duck source stopped');
+        this._release(entry.hold);
+        entry.hold = null;
+
+      }
+    };
+
+    entry.detach = watch(source, update);
+    this._sources.push(entry);
+
+    update();
+  }
+
+  removeAutoDuck(source) {
+    var entry = this._sources.filter((e) => e.source === source)[0];
+
+    if (!entry) {
+      return;
+    }
+
+    this._sources = this._sources.filter((e) => e !== entry);
+
+    entry.detach();
+
+    if (entry.hold) {
+      this._release(entry.hold);
+    }
+  }
+
+  destroy() {
+    for (let entry of this._sources.slice()) {
+      this.removeAutoDuck(entry.source);
+    }
+  }
+
+  _hold(level, options) {
+    options = options || {};
+
+    var hold = {
+      level: Math.max(0, Math.min(1, (typeof level === 'number') ? level : DEFAULT_LEVEL)),
+      attackMs: ('attackMs' in options) ? options.attackMs : DEFAULT_ATTACK_MS,
+      releaseMs: ('releaseMs' in options) ? options.releaseMs : DEFAULT_RELEASE_MS
+    };
+
+    this._holds.push(hold);
+    this._update(hold);
+
+    return hold;
+  }
+
+  _release(hold) {
+    this._holds = this._holds.filter((h) => h !== hold);
+    this._update(hold);
+  }
+
+  // move the music to the lowest level anything is holding it at, at the
+  // speed 'hold' asks for
+  _update(hold) {
+    var level = this._holds.reduce((lowest, h) => Math.min(lowest, h.level), 1);
+
+    if (level === this._level) {
+      return;
+    }
+
+    var rampMs = (level < this._level) ? hold.attackMs : hold.releaseMs;
+
+    this._level = level;
+
+    if (this._speaker.setDuckLevel) {
+      this._speaker.setDuckLevel(level, rampMs);
+    } else {
+      log('speaker does not support ducking');
+    }
+  }
+
+}
+
+export default Ducker;
@@ -0,0 +1,110 @@
+/*
+ * Effects are Web Audio nodes that all music passes through on its way
+ * out of a browser speaker (see audio-output.js). They are given to the
+ * Player as a list, and applied in order:
+ *
+ *   var player = new Feed.Player(token, secret, {
+ *     effects: [ 'bass-boost', { type: 'limiter' } ]
+ *   });
+ *
+ *   player.setEffects([ { type: 'eq', low: 3, mid: 0, high: -2 } ]);
+ *
+ * Each effect is one of:
+ *
+ *   - the name of a preset, which uses the preset's default settings
+ *   - an object with the 'type' of a preset and any settings to change
+ *   - a function that is passed the AudioContext and returns an
+ *     AudioNode, or an array of AudioNodes to connect one after another
+ *
+ * The presets are:
+ *
+ *   eq: 3-band equalizer, with 'low', 'mid' and 'high' gains in dB
+ *     (default 0) centered on 'lowFrequency' (250), 'midFrequency' (1000)
+ *     and 'highFrequency' (4000) Hz
+ *   bass-boost: an eq that raises the low band by 'gain' dB (default 6)
+ *   compressor: a DynamicsCompressorNode, with 'threshold' (-24),
+ *     'knee' (30), 'ratio' (12), 'attack' (0.003) and 'release' (0.25)
+ *   limiter: a compressor that keeps peaks below 'threshold' dB (-1)
+ *   low-pass: a low-pass filter, with 'frequency' (1000) and 'Q' (1)
+ */
+
+function biquad(audioContext, type, frequency, gain, Q) {
+  var filter = audioContext.createBiquadFilter();
+
+  filter.type = type;
+  filter.frequency.value = frequency;
+
+  if (typeof gain !== 'undefined') {
+    filter.gain.value = gain;
+  }
+
+  if (typeof Q !== 'undefined') {
+    filter.Q.value = Q;
+  }
+
+  return filter;
+}
+
+function compressor(audioContext, settings) {
+  var node = audioContext.createDynamicsCompressor();
+
+  for (let param of [ 'threshold', 'knee', 'ratio', 'attack', 'release' ]) {
+    node[param].value = settings[param];
+  }
+
+  return node;
+}
+
+const PRESETS = {
+  eq: (audioContext, settings) => {
+    settings = Object.assign({ low: 0, mid: 0, high: 0, lowFrequency: 250, midFrequency: 1000, highFrequency: 4000 }, settings);
+
+    return [
+      biquad(audioContext, 'lowshelf', settings.lowFrequency, settings.low),
+      biquad(audioContext, 'peaking', settings.midFrequency, settings.mid, 1),
+      biquad(audioContext, 'highshelf', settings.highFrequency, settings.high)
+    ];
+  },
+
+  'bass-boost': (audioContext, settings) => {
+    settings = Object.assign({ gain: 6 }, settings);
+
+    return PRESETS.eq(audioContext, { low: settings.gain });
+  },
+
+  compressor: (audioContext, settings) => {
+    return compressor(audioContext, Object.assign({ threshold: -24, knee: 30, ratio: 12, attack: 0.003, release: 0.25 }, settings));
+  },
+
+  limiter: (audioContext, settings) => {
+    return compressor(audioContext, Object.assign({ threshold: -1, knee: 0, ratio: 20, attack: 0.001, release: 0.1 }, settings));
+  },
+
+  'low-pass': (audioContext, settings) => {
+    settings = Object.assign({ frequency: 1000, Q: 1 }, settings);
+
+    return biquad(audioContext, 'lowpass', settings.frequency, undefined, settings.Q);
+  }
+};
+
+// return the list of AudioNodes, to be connected in order, for 'effect'
+export function createEffectNodes(audioContext, effect) {
+  var nodes;
+
+  if (typeof effect === 'function') {
+    nodes = effect(audioContext);
+
+  } else {
+    var settings = (typeof effect === 'string') ? { type: effect } : effect;
+    var preset = settings && PRESETS[settings.type];
+
+    if (!preset) {
+      throw new Error('unknown audio effect: ' + (settings && settings.type));
+    }
+
+    nodes = preset(audioContext, settings);
+
+  }
+
+  return Array.isArray(nodes) ? nodes : [ nodes ];
+}
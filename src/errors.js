@@ -0,0 +1,126 @@
+/*
+ *  Feed Media errors
+ *
+ *  Every failure the SDK reports is an instance of FeedError, and is
+ *  passed along with an 'error' event from the Session, Player, Listener
+ *  and SimulcastPlayer classes. Promises returned by the Session and Player
+ *  reject with these errors too.
+ *
+ *  Each error has a stable 'code' that clients can switch on:
+ *
+ *    InvalidCredentials - the token and secret are not valid
+ *    MusicUnavailable - the client may not play music (usually because of
+ *      their location)
+ *    PlaysExhausted - there is no more music available in the current station
+ *    SkipDenied - the current song may not be skipped
+ *    SeekNotAllowed - the current song may not be seeked within, because
+ *      it isn't from an on-demand station
+ *    PlacementUnavailable - the placement passed to setPlacementId() doesn't
+ *      exist, or the token and secret don't have access to it
+ *    NetworkError - a request failed, timed out or was aborted before the
+ *      server responded. The 'reason' attribute is one of 'failed',
+ *      'timeout' or 'aborted', and 'cause' holds any underlying error.
+ *    PlaybackNotAllowed - the browser refused to play audio, because playback
+ *      wasn't started from a user-initiated event handler
+ *    ServerError - the server responded with a non-2xx status. The 'status'
+ *      attribute holds the HTTP status, 'body' holds the parsed JSON response
+ *      (or null), and 'serverCode' holds the server's error code (or null).
+ *
+ *  Errors that replace an older event also have an 'event' attribute with
+ *  the name of that event ('invalid-credentials', 'music-unavailable',
+ *  'plays-exhausted', 'skip-denied' or 'placement-unavailable'). Those
+ *  events are still triggered, just before the 'error' event.
+ */
+
+// error codes returned by the server in failed responses
+export const ServerErrorCode = {
+  INVALID_CREDENTIALS: 5,
+  PLAYS_EXHAUSTED: 9,
+  MUSIC_UNAVAILABLE: 19,
+  PLAY_ALREADY_STARTED: 20
+};
+
+export class FeedError extends Error {
+  constructor(code, message) {
+    super(message);
+
+    // assigned explicitly, because class names don't survive minification
+    this.name = 'FeedError';
+    this.code = code;
+    this.event = null;
+  }
+}
+
+export class InvalidCredentialsError extends FeedError {
+  constructor(message) {
+    super('InvalidCredentials', message || 'invalid token or secret');
+    this.event = 'invalid-credentials';
+  }
+}
+
+export class MusicUnavailableError extends FeedError {
+  constructor(message) {
+    super('MusicUnavailable', message || 'music is not available to this client');
+    this.event = 'music-unavailable';
+  }
+}
+
+export class PlaysExhaustedError extends FeedError {
+  constructor(message) {
+    super('PlaysExhausted', message || 'no more music available in this station');
+    this.event = 'plays-exhausted';
+  }
+}
+
+export class SkipDeniedError extends FeedError {
+  constructor(message) {
+    super('SkipDenied', message || 'the current song may not be skipped');
+    this.event = 'skip-denied';
+  }
+}
+
+export class SeekNotAllowedError extends FeedError {
+  constructor(message) {
+    super('SeekNotAllowed', message || 'seeking is only allowed in on-demand stations');
+  }
+}
+
+export class PlacementUnavailableError extends FeedError {
+  constructor(message) {
+    super('PlacementUnavailable', message || 'the placement does not exist or may not be used with these credentials');
+    this.event = 'placement-unavailable';
+  }
+}
+
+export class NetworkError extends FeedError {
+  constructor(reason, message, cause) {
+    super('NetworkError', message);
+    this.reason = reason;
+    this.cause = cause || null;
+  }
+}
+
+export class PlaybackNotAllowedError extends FeedError {
+  constructor(cause) {
+    super('PlaybackNotAllowed', 'first call to "initializeAudio()" or "play()" must be made in user-initiated event handler');
+    this.cause = cause || null;
+  }
+}
+
+export class ServerError extends FeedError {
+  constructor(status, body) {
+    const error = (body && body.error) || {};
+
+    super('ServerError', error.message || ('server responded with status ' + status));
+    this.status = status;
+    this.body = body || null;
+    this.serverCode = ('code' in error) ? error.code : null;
+  }
+}
+
+// true if 'error' is a ServerError with the given HTTP status and server error code
+export function isServerError(error, status, serverCode) {
+  return (error instanceof ServerError) &&
+    (error.status === status) &&
+    (error.serverCode === serverCode);
+}
@@ -0,0 +1,82 @@
+/*
+ * Fade curves, and the GainNode automation the browser speakers use to
+ * apply a sound's volume and fades on the AudioContext clock.
+ *
+ * A curve maps progress through a fade (0..1) to a volume multiplier
+ * (0..1). Fade-outs use the curve in reverse:
+ *
+ *   linear      - volume changes at a steady rate
+ *   equal-power - follows a quarter sine wave, so two songs crossfading
+ *                 with this curve keep the same overall loudness
+ *   exponential - volume changes at a steady rate in decibels, which
+ *                 sounds like a steady fade to the ear
+ */
+
+export const FADE_CURVES = {
+  linear: (x) => x,
+  'equal-power': (x) => Math.sin(x * Math.PI / 2),
+  exponential: (x) => (Math.pow(1000, x) - 1) / 999
+};
+
+// number of points per second in the value curves we hand to the AudioParam
+const CURVE_RESOLUTION = 100;
+
+export function getFadeCurve(name) {
+  return FADE_CURVES[name] || FADE_CURVES.linear;
+}
+
+function scheduleCurve(param, sound, volume, from, to, contextTime) {
+  var duration = to - from;
+
+  if (duration <= 0) {
+    return;
+  }
+
+  var points = Math.max(2, Math.ceil(duration * CURVE_RESOLUTION));
+  var values = new Float32Array(points);
+
+  for (let i = 0; i < points; i++) {
+    values[i] = sound.volumeAt(from + (duration * i / (points - 1)), volume);
+  }
+
+  param.setValueCurveAtTime(values, contextTime, duration);
+}
+
+// Replace any automation on 'param' with the volume 'sound' should have
+// from 'audioTime' seconds into the song onwards, given that 'audioTime'
+// plays at 'contextTime' on the AudioContext clock. Fades are scheduled
+// in full, so they don't depend on how often we're called.
+export function scheduleVolume(param, sound, volume, audioTime, contextTime) {
+  var at = (time) => contextTime + (time - audioTime);
+
+  param.cancelScheduledValues(0);
+  param.setValueAtTime(sound.volumeAt(audioTime, volume), contextTime);
+
+  var fadesIn = sound.fadeInEnd && (sound.fadeInStart !== sound.fadeInEnd) && (audioTime < sound.fadeInEnd);
+  var fadesOut = sound.fadeOutEnd && (sound.fadeOutStart !== sound.fadeOutEnd) && (audioTime < sound.fadeOutEnd);
+
+  if (fadesIn && fadesOut && (sound.fadeOutStart < sound.fadeInEnd)) {
+    // the fades overlap, so cover them both with one curve
+    let from = Math.max(audioTime, sound.fadeInStart);
+    scheduleCurve(param, sound, volume, from, sound.fadeOutEnd, at(from));
+    return;
+  }
+
+  if (fadesIn) {
+    let from = Math.max(audioTime, sound.fadeInStart);
+    scheduleCurve(param, sound, volume, from, sound.fadeInEnd, at(from));
+  }
+
+  if (fadesOut) {
+    let from = Math.max(audioTime, sound.fadeOutStart);
+    scheduleCurve(param, sound, volume, from, sound.fadeOutEnd, at(from));
+  }
+}
+
+// stop any scheduled changes and keep the volume where it is now
+export function holdVolume(param, contextTime) {
+  var value = param.value;
+
+  param.cancelScheduledValues(0);
+  param.setValueAtTime(value, contextTime);
+}
@@ -0,0 +1,331 @@
+/*
+ * The FakeFeedServer stands in for the feed.fm servers in tests. It is a
+ * transport (see transport.js) that answers requests from memory, so
+ * tests can run without a network:
+ *
+ *   var server = new Feed.FakeFeedServer({
+ *     stations: [ { id: '1', name: 'Station 1' } ], // stations in the placement
+ *     playsPerStation: 10,   // plays available in each station before
+ *                            // the server says they're exhausted (default: no limit)
+ *     durationSeconds: 180,  // duration of each song
+ *     canSkip: true,         // whether plays may be skipped
+ *     placements: [ { id: '2', name: 'Gym', stations: [ ... ] } ], // other placements
+ *                            // that can be retrieved by id, with their own stations
+ *     token: 'demo',         // when given, requests with other credentials
+ *     secret: 'demo'         // get a 401 'invalid credentials' response
+ *   });
+ *
+ *   Feed.setTransport(server.transport);
+ *
+ * It implements the following endpoints:
+ *
+ *   POST /api/v2/client
+ *   GET  /api/v2/placement, GET /api/v2/placement/:id
+ *   POST /api/v2/play
+ *   POST /api/v2/play/:id/start
+ *   POST /api/v2/play/:id/elapse
+ *   POST /api/v2/play/:id/complete
+ *   POST /api/v2/play/:id/skip
+ *   POST /api/v2/play/:id/invalidate
+ *   POST /api/v2/play/:id/like, DELETE /api/v2/play/:id/like
+ *   POST /api/v2/play/:id/dislike
+ *   POST /api/v2/session/event
+ *
+ * along with GET requests for the audio files of plays (which return an
+ * empty body). Anything else gets a 404.
+ *
+ * Every request is recorded in 'server.requests' as
+ * { method, path, body }, where 'body' is the parsed JSON body (or null),
+ * and server.requestsTo(path) returns the requests whose path ends with
+ * 'path'. Behavior can be changed between requests with:
+ *
+ *   server.setMusicUnavailable(true) - respond to play requests with a 403
+ *   server.setCanSkip(false) - deny future skips
+ *   server.failNext(path, status) - respond to the next request whose
+ *     path ends with 'path' with the given status (default 500)
+ *
+ * Plays are created with the audio file urls given by
+ * server.audioUrl(playId).
+ */
+
+import { ServerErrorCode } from './errors';
+
+const DEFAULT_STATIONS = [
+  { id: '1', name: 'Station 1', on_demand: 0, options: {} },
+  { id: '2', name: 'Station 2', on_demand: 0, options: {} }
+];
+
+function respond(status, body) {
+  var text = (body === null) ? '' : JSON.stringify(body);
+
+  return Promise.resolve({
+    ok: (status >= 200) && (status < 300),
+    status: status,
+    json: () => Promise.resolve(JSON.parse(text)),
+    text: () => Promise.resolve(text),
+    arrayBuffer: () => Promise.resolve(new ArrayBuffer(0))
+  });
+}
+
+function failure(status, code, message) {
+  return respond(status, {
+    success: false,
+    error: {
+      code: code,
+      message: message,
+      status: status
+    }
+  });
+}
+
+function parseBody(request) {
+  if (!request || !request.body) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(request.body);
+  } catch (e) {
+    return null;
+  }
+}
+
+function authorization(request) {
+  var headers = (request && request.headers) || {};
+
+  return headers['Authorization'] || headers['authorization'] || null;
+}
+
+class FakeFeedServer {
+
+  constructor(options) {
+    options = options || {};
+
+    this.stations = options.stations || DEFAULT_STATIONS;
+    this.playsPerStation = options.playsPerStation || Infinity;
+    this.durationSeconds = options.durationSeconds || 180;
+    this.canSkip = ('canSkip' in options) ? !!options.canSkip : true;
+    this.placements = options.placements || [];
+    this.musicUnavailable = false;
+
+    this.token = options.token || null;
+    this.secret = options.secret || null;
+
+    this.requests = [];
+    this.plays = {};           // id -> { play, started, completed, ... }
+    this._playCounts = {};     // station id -> number of plays handed out
+    this._nextPlayId = 1;
+    this._nextClientId = 1;
+    this._failures = [];
+
+    // so it can be handed around without binding
+    this.transport = this.transport.bind(this);
+  }
+
+  setMusicUnavailable(unavailable) {
+    this.musicUnavailable = unavailable;
+  }
+
+  setCanSkip(canSkip) {
+    this.canSkip = canSkip;
+  }
+
+  failNext(path, status) {
+    this._failures.push({ path: path, status: status || 500 });
+  }
+
+  requestsTo(path) {
+    return this.requests.filter((request) => request.path.slice(-path.length) === path);
+  }
+
+  audioUrl(playId) {
+    return 'https://fake.feed.fm/audio/' + playId + '.mp3';
+  }
+
+  transport(url, request) {
+    var method = ((request && request.method) || 'GET').toUpperCase();
+    var path = new URL(url).pathname;
+    var body = parseBody(request);
+
+    this.requests.push({ method: method, path: path, body: body });
+
+    for (let i = 0; i < this._failures.length; i++) {
+      var failing = this._failures[i];
+
+      if (path.slice(-failing.path.length) === failing.path) {
+        this._failures.splice(i, 1);
+        return failure(failing.status, 0, 'forced failure');
+      }
+    }
+
+    if (path.indexOf('/audio/') === 0) {
+      return respond(200, null);
+    }
+
+    if ((method === 'POST') && (path === '/api/v2/client')) {
+      return respond(200, { success: true, client_id: 'fake-client-' + this._nextClientId++ });
+    }
+
+    if ((method === 'POST') && (path === '/api/v2/session/event')) {
+      return respond(200, { success: true });
+    }
+
+    if (!this._authorized(request)) {
+      return failure(401, ServerErrorCode.INVALID_CREDENTIALS, 'Invalid credentials');
+    }
+
+    if ((method === 'GET') && (path === '/api/v2/placement')) {
+      return this._placement();
+    }
+
+    var placementMatch = /^\/api\/v2\/placement\/([^/]+)$/.exec(path);
+    if ((method === 'GET') && placementMatch) {
+      return this._placement(decodeURIComponent(placementMatch[1]));
+    }
+
+    if ((method === 'POST') && (path === '/api/v2/play')) {
+      return this._createPlay(body || {});
+    }
+
+    var match = /^\/api\/v2\/play\/([^/]+)\/([a-z]+)$/.exec(path);
+    var entry = match && this.plays[match[1]];
+
+    if (!entry) {
+      return failure(404, 0, 'Not found');
+    }
+
+    switch (match[2]) {
+    case 'start':
+      if (entry.started) {
+        return failure(403, ServerErrorCode.PLAY_ALREADY_STARTED, 'Play already started');
+      }
+
+      entry.started = true;
+      return respond(200, { success: true, can_skip: this.canSkip });
+
+    case 'elapse':
+      entry.elapsed = (body && body.seconds) || 0;
+      return respond(200, { success: true });
+
+    case 'complete':
+      entry.completed = true;
+      return respond(200, { success: true });
+
+    case 'skip':
+      if (!this.canSkip) {
+        return respond(200, { success: false });
+      }
+
+      entry.skipped = true;
+      return respond(200, { success: true });
+
+    case 'invalidate':
+      entry.invalidated = true;
+      return respond(200, { success: true });
+
+    case 'like':
+      entry.liked = (method !== 'DELETE');
+      return respond(200, { success: true });
+
+    case 'dislike':
+      entry.disliked = true;
+      return respond(200, { success: true });
+    }
+
+    return failure(404, 0, 'Not found');
+  }
+
+  _authorized(request) {
+    if (!this.token) {
+      return true;
+    }
+
+    return authorization(request) === ('Basic ' + btoa(this.token + ':' + this.secret));
+  }
+
+  _placement(placementId) {
+    if (!placementId || (placementId === '1')) {
+      return respond(200, {
+        success: true,
+        placement: {
+          id: '1',
+          name: 'Fake placement'
+        },
+        stations: this.stations
+      });
+    }
+
+    var placement = this.placements.filter((p) => p.id === placementId)[0];
+
+    if (!placement) {
+      return failure(403, 0, 'Placement not available');
+    }
+
+    return respond(200, {
+      success: true,
+      placement: {
+        id: placement.id,
+        name: placement.name
+      },
+      stations: placement.stations
+    });
+  }
+
+  _createPlay(body) {
+    if (this.musicUnavailable) {
+      return failure(403, ServerErrorCode.MUSIC_UNAVAILABLE, 'Feed.fm is not available in your region');
+    }
+
+    var stations = this.placements.reduce((all, placement) => all.concat(placement.stations), this.stations);
+    var station = stations.filter((s) => s.id === body.station_id)[0] || this.stations[0];
+    var count = this._playCounts[station.id] || 0;
+
+    if (count >= this.playsPerStation) {
+      return respond(200, {
+        success: false,
+        error: {
+          code: ServerErrorCode.PLAYS_EXHAUSTED,
+          message: 'No more music available'
+        }
+      });
+    }
+
+    this._playCounts[station.id] = count + 1;
+
+    var id = '' + this._nextPlayId++;
+    var play = {
+      id: id,
+      station: {
+        id: station.id,
+        name: station.name
+      },
+      audio_file: {
+        id: 'audio-' + id,
+        duration_in_seconds: this.durationSeconds,
+        codec: 'mp3',
+        bitrate: '128',
+        url: this.audioUrl(id),
+        track: { id: 'track-' + id, title: 'Track ' + id },
+        release: { id: 'release-' + id, title: 'Release ' + id },
+        artist: { id: 'artist-' + id, name: 'Artist ' + id },
+        extra: {}
+      }
+    };
+
+    this.plays[id] = {
+      play: play,
+      started: false,
+      elapsed: 0,
+      completed: false,
+      skipped: false,
+      invalidated: false,
+      liked: false,
+      disliked: false
+    };
+
+    return respond(200, { success: true, play: play });
+  }
+
+}
+
+export default FakeFeedServer;
@@ -0,0 +1,609 @@
+/*
+ * The GaplessSpeaker has the same interface as the Speaker (see speaker.js),
+ * but rather than streaming songs through Audio elements, it downloads and
+ * decodes each song into an AudioBuffer and plays it with an
+ * AudioBufferSourceNode. Because the upcoming song (passed to prepare())
+ * is decoded ahead of time, it is scheduled on the AudioContext clock to
+ * start at the exact sample the current song ends on - or, when songs
+ * overlap, at the start of the overlap. This makes
+ * stations meant for continuous play sound like a single mix.
+ *
+ * Create one with the 'gapless' option on the Player:
+ *
+ *   var player = new Feed.Player(token, secret, { gapless: true });
+ *
+ * The 'startPosition' and 'endPosition' sound options (which the Player
+ * sets from the trim_start and trim_end values of each song) decide which
+ * part of the buffer is played, so trimming works just as with the Speaker.
+ *
+ * The upcoming song starts playing before the Player hears that the
+ * current one has finished, so when the Player then creates a sound for
+ * that url and calls play() on it, the sound takes over the song that is
+ * already playing. If the Player plays some other url instead, or plays
+ * the scheduled song before its start time (after a skip, for instance),
+ * the scheduled song is dropped and the new one starts right away.
+ *
+ * Decoded songs take up a fair amount of memory, so only the songs that
+ * are playing or prepared are kept.
+ */
+
+import log from './log';
+import Events from './events';
+import { Sound, createAudioContext } from './speaker';
+import { getTransport, checkResponse } from './transport';
+import { uniqueId } from './util';
+import { scheduleVolume } from './fades';
+import AudioOutput from './audio-output';
+
+// how often we send out 'elapse' events
+const ELAPSE_INTERVAL = 250;
+
+// don't bother scheduling a song to start sooner than this (in seconds)
+const MIN_SCHEDULE_AHEAD = 0.05;
+
+class GaplessSpeaker {
+
+  constructor() {
+    Object.assign(this, Events);
+
+    this.vol = 100;
+    this.outstandingSounds = {};
+    this.audioContext = null;
+    this._output = null;     // AudioOutput every voice plays through
+    this._effects = null;    // effects to apply in the output (see effects.js)
+    this._duckLevel = 1;     // level music is ducked to in the output (see ducker.js)
+
+    this._contextReady = new Promise((resolve) => {
+      this._resolveContext = resolve;
+    });
+
+    this._buffers = {};      // url -> Promise resolving to an AudioBuffer
+    this._prepared = null;   // { url, sound } passed to prepare()
+
+    this._starting = null;   // { sound, pauseAfterPlay } while waiting for a buffer
+    this._active = null;     // voice for the current sound
+    this._next = null;       // voice scheduled to start when the active one ends
+    this._fading = [];       // voices that have 'finished', but are still fading out
+
+    this._paused = false;
+    this._timer = null;
+  }
+
+  initializeAudio() {
+    if (!this.audioContext) {
+      log('initializing gapless audio');
+
+      this.audioContext = createAudioContext();
+      this._output = new AudioOutput(this.audioContext, this._effects);
+      this._output.setDuckLevel(this._duckLevel, 0);
+      this._resolveContext(this.audioContext);
+
+    } else if ((this.audioContext.state === 'suspended') && !this._paused) {
+      this.audioContext.resume();
+
+    }
+  }
+
+  getSupportedFormats() {
+    if (document.createElement('audio').canPlayType('audio/aac')) {
+      return 'aac,mp3';
+    } else {
+      return 'mp3';
+    }
+  }
+
+  create(url, optionsAndCallbacks) {
+    var id = uniqueId('feed-play-');
+    var sound = new Sound(this, optionsAndCallbacks, id, url);
+
+    log('created play ' + id + ' (' + url + ')', optionsAndCallbacks);
+
+    this.outstandingSounds[sound.id] = sound;
+
+    this._load(url);
+
+    return sound;
+  }
+
+  prepare(url, options) {
+    var previous = this._prepared;
+
+    // this sound is never played - it just tells us how the real one will be
+    this._prepared = {
+      url: url,
+      sound: new Sound(this, options, uniqueId('feed-prepared-'), url)
+    };
+
+    this._load(url)
+      .then(() => this._scheduleNext())
+      .catch((error) => log('unable to prepare ' + url, error));
+
+    if (previous && (previous.url !== url)) {
+      this._unload(previous.url);
+    }
+  }
+
+  flush() {
+    // destroy all outstanding sound objects
+    for (let id in this.outstandingSounds) {
+      this.outstandingSounds[id].destroy();
+    }
+
+    for (let voice of [ this._next ].concat(this._fading)) {
+      this._stopVoice(voice);
+    }
+
+    this._next = null;
+    this._fading = [];
+  }
+
+  // set the volume (0-100)
+  setVolume(value) {
+    if (typeof value !== 'undefined') {
+      this.vol = value;
+
+      this._updateVolumes();
+
+      this.trigger('volume', value);
+    }
+
+    return this.vol;
+  }
+
+  getVolume() {
+    return this.vol;
+  }
+
+  getAnalyserNode() {
+    return this._output ? this._output.analyser : null;
+  }
+
+  setEffects(effects) {
+    this._effects = effects;
+
+    if (this._output) {
+      this._output.setEffects(effects);
+    }
+  }
+
+  setDuckLevel(level, rampMs) {
+    this._duckLevel = level;
+
+    if (this._output) {
+      this._output.setDuckLevel(level, rampMs);
+    }
+  }
+
+  _load(url) {
+    if (!this._buffers[url]) {
+      log('loading ' + url);
+
+      var downloaded = getTransport()(url)
+        .then(checkResponse)
+        .then((response) => response.arrayBuffer());
+
+      // older Safari only supports the callback form of decodeAudioData
+      this._buffers[url] = Promise.all([ downloaded, this._contextReady ])
+        .then(([ data, context ]) => new Promise((resolve, reject) => {
+          context.decodeAudioData(data, resolve, reject);
+        }))
+        .then((buffer) => {
+          log('decoded ' + url);
+          return buffer;
+        });
+
+      // failures are reported when we try to play the url
+      this._buffers[url].catch(() => {
+        delete this._buffers[url];
+      });
+    }
+
+    return this._buffers[url];
+  }
+
+  // forget the decoded audio for 'url' if nothing needs it any more
+  _unload(url) {
+    if (this._prepared && (this._prepared.url === url)) {
+      return;
+    }
+
+    for (let voice of [ this._active, this._next ].concat(this._fading)) {
+      if (voice && (voice.url === url)) {
+        return;
+      }
+    }
+
+    for (let id in this.outstandingSounds) {
+      if (this.outstandingSounds[id].url === url) {
+        return;
+      }
+    }
+
+    delete this._buffers[url];
+  }
+
+  // start playing 'buffer' at audio context time 'when', using the
+  // start/end positions, fades and gain from 'sound'. Playback begins
+  // 'offset' seconds into the buffer, or at the sound's start position.
+  _startVoice(url, sound, buffer, when, offset) {
+    var context = this.audioContext;
+
+    if (typeof offset === 'undefined') {
+      offset = sound.startPosition ? (sound.startPosition / 1000) : 0;
+    }
+
+    offset = Math.min(offset, buffer.duration);
+    var end = sound.endPosition ? Math.min(sound.endPosition / 1000, buffer.duration) : buffer.duration;
+
+    // fades and overlaps that depend on the length of the song can only be
+    // configured once the song is decoded
+    sound.setEnd(end);
+
+    var source = context.createBufferSource();
+    source.buffer = buffer;
+
+    var gain = context.createGain();
+    gain.gain.value = 0;
+
+    source.connect(gain);
+    gain.connect(this._output.input);
+
+    var voice = {
+      url: url,
+      sound: sound,
+      source: source,
+      gain: gain,
+      startedAt: when,       // context time at which 'offset' plays
+      offset: offset,        // seconds into the buffer playback starts at
+      end: end,              // seconds into the buffer playback stops at
+      duration: buffer.duration,
+      finished: false        // true once we've sent out the 'finish' event
+    };
+
+    source.onended = () => this._onVoiceEnded(voice);
+    source.start(when, offset, Math.max(end - offset, 0));
+
+    this._setVoiceVolume(voice);
+
+    return voice;
+  }
+
+  _stopVoice(voice) {
+    if (!voice) {
+      return;
+    }
+
+    voice.source.onended = null;
+
+    try {
+      voice.source.stop();
+    } catch (e) {
+      // already stopped
+    }
+
+    voice.source.disconnect();
+    voice.gain.disconnect();
+  }
+
+  // seconds into the buffer that the voice is playing now
+  _voiceTime(voice) {
+    var elapsed = Math.max(this.audioContext.currentTime - voice.startedAt, 0);
+
+    return Math.min(voice.offset + elapsed, voice.end);
+  }
+
+  // seconds into the buffer at which the next song should start
+  _transitionTime(voice) {
+    return voice.sound.overlapStart || voice.end;
+  }
+
+  // schedule the volume and fades of the voice on its gain node
+  _setVoiceVolume(voice) {
+    var contextTime = Math.max(this.audioContext.currentTime, voice.startedAt);
+
+    scheduleVolume(voice.gain.gain, voice.sound, this.vol, this._voiceTime(voice), contextTime);
+  }
+
+  _updateVolumes() {
+    for (let voice of [ this._active, this._next ].concat(this._fading)) {
+      if (voice) {
+        this._setVoiceVolume(voice);
+      }
+    }
+  }
+
+  // schedule the prepared song to start right when the active one ends
+  _scheduleNext() {
+    var active = this._active;
+    var prepared = this._prepared;
+
+    if (!active || !prepared || this._next || (prepared.url === active.url)) {
+      return;
+    }
+
+    this._buffers[prepared.url].then((buffer) => {
+      if ((this._active !== active) || (this._prepared !== prepared) || this._next) {
+        return;
+      }
+
+      var when = active.startedAt + (this._transitionTime(active) - active.offset);
+
+      if (when < this.audioContext.currentTime + MIN_SCHEDULE_AHEAD) {
+        log('too late to schedule ' + prepared.url + ' gaplessly');
+        return;
+      }
+
+      log('scheduling ' + prepared.url + ' to start in ' + (when - this.audioContext.currentTime) + ' seconds');
+
+      this._next = this._startVoice(prepared.url, prepared.sound, buffer, when);
+    });
+  }
+
+  _playSound(sound) {
+    if (this._active && (this._active.sound === sound)) {
+      if (this._paused) {
+        log(sound.id + ' was paused, so resuming');
+
+        this._paused = false;
+
+        this.audioContext.resume()
+          .then(() => {
+            this._startTimer();
+            sound.trigger('play');
+          })
+          .catch((error) => {
+            log('error resuming playback', error);
+            this._active = null;
+            sound.trigger('finish', error);
+          });
+
+      } else {
+        log(sound.id + ' is already playing');
+      }
+
+      return;
+    }
+
+    if (this._starting && (this._starting.sound === sound)) {
+      log(sound.id + ' is still loading, so it will play when ready');
+      this._starting.pauseAfterPlay = false;
+      return;
+    }
+
+    if (!this.audioContext) {
+      // eslint-disable-next-line
+      console.error('**** player.initializeAudio() *** not called before playback!');
+      return;
+    }
+
+    // notify clients that whatever was previously playing has finished
+    if (this._active) {
+      var finishedSound = this._active.sound;
+
+      this._stopVoice(this._active);
+      this._active = null;
+
+      if (this.outstandingSounds[finishedSound.id]) {
+        finishedSound.trigger('finish');
+      }
+    }
+
+    this._paused = false;
+
+    var next = this._next;
+    this._next = null;
+
+    if (next && (next.url === sound.url) && (this.audioContext.state === 'running') &&
+      (next.startedAt <= this.audioContext.currentTime)) {
+      // this song has already started, so take it over
+      log(sound.id + ' taking over scheduled playback');
+
+      sound.setEnd(next.end);
+      next.sound = sound;
+      this._setVoiceVolume(next);
+
+      this._activate(next);
+      return;
+    }
+
+    this._stopVoice(next);
+
+    var starting = this._starting = {
+      sound: sound,
+      pauseAfterPlay: false
+    };
+
+    log(sound.id + ' waiting for audio');
+
+    Promise.all([ this._load(sound.url), this.audioContext.resume() ])
+      .then(([ buffer ]) => {
+        if (this._starting !== starting) {
+          log(sound.id + ' loaded, but we don\'t want it any more');
+          return;
+        }
+
+        this._starting = null;
+
+        if (!this.outstandingSounds[sound.id]) {
+          log(sound.id + ' loaded, but sound has been destroyed');
+          return;
+        }
+
+        this._activate(this._startVoice(sound.url, sound, buffer, this.audioContext.currentTime));
+
+        if (starting.pauseAfterPlay) {
+          this._pauseSound(sound);
+        }
+      })
+      .catch((error) => {
+        if (this._starting !== starting) {
+          return;
+        }
+
+        this._starting = null;
+
+        log('error starting playback with sound ' + sound.id, error);
+        sound.trigger('finish', error);
+      });
+  }
+
+  _activate(voice) {
+    this._active = voice;
+
+    this._startTimer();
+    this._scheduleNext();
+
+    log(voice.sound.id + ' playing');
+    voice.sound.trigger('play');
+  }
+
+  _pauseSound(sound) {
+    if (this._starting && (this._starting.sound === sound)) {
+      this._starting.pauseAfterPlay = true;
+      return;
+    }
+
+    if (!this._active || (this._active.sound !== sound) || this._paused) {
+      return;
+    }
+
+    this._paused = true;
+    this._stopTimer();
+
+    // suspending the context keeps everything scheduled on it in sync
+    this.audioContext.suspend()
+      .then(() => {
+        sound.trigger('pause');
+      });
+  }
+
+  _position(sound) {
+    if (this._active && (this._active.sound === sound)) {
+      return Math.floor(this._voiceTime(this._active) * 1000);
+    }
+
+    return 0;
+  }
+
+  _duration(sound) {
+    if (this._active && (this._active.sound === sound)) {
+      return Math.floor(this._active.duration * 1000);
+    }
+
+    return 0;
+  }
+
+  _seekSound(sound, ms) {
+    var active = this._active;
+
+    if (active && (active.sound === sound)) {
+      // buffer sources can't be moved, so start a new one from the new
+      // position, and reschedule whatever follows it
+      var voice = this._startVoice(active.url, sound, active.source.buffer, this.audioContext.currentTime, Math.min(ms / 1000, active.end));
+
+      this._stopVoice(active);
+      this._stopVoice(this._next);
+      this._next = null;
+
+      this._active = voice;
+      this._scheduleNext();
+
+    } else if (this._starting && (this._starting.sound === sound)) {
+      sound.startPosition = ms;
+
+    }
+  }
+
+  _destroySound(sound) {
+    sound.off();
+
+    if (this._active && (this._active.sound === sound)) {
+      log('destroy triggered for current sound', sound.id);
+      this._stopVoice(this._active);
+      this._active = null;
+
+    } else if (this._starting && (this._starting.sound === sound)) {
+      log('destroy triggered for loading sound', sound.id);
+      this._starting = null;
+
+    } else {
+      log('destroy triggered for inactive sound', sound.id);
+
+    }
+
+    delete this.outstandingSounds[sound.id];
+
+    this._unload(sound.url);
+  }
+
+  _startTimer() {
+    if (!this._timer) {
+      this._timer = setInterval(() => this._onTimer(), ELAPSE_INTERVAL);
+    }
+  }
+
+  _stopTimer() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  _onTimer() {
+    var active = this._active;
+
+    if (!active) {
+      if (!this._next && (this._fading.length === 0)) {
+        this._stopTimer();
+      }
+      return;
+    }
+
+    if (this._voiceTime(active) >= this._transitionTime(active)) {
+      // the song is over (or the next one overlaps it, so that can start)
+      this._finish(active);
+
+    } else {
+      active.sound.trigger('elapse');
+
+    }
+  }
+
+  _finish(voice) {
+    if (voice.finished) {
+      return;
+    }
+
+    voice.finished = true;
+
+    if (this._active === voice) {
+      this._active = null;
+    }
+
+    if (this._voiceTime(voice) < voice.end) {
+      // let it fade out in the background
+      this._fading.push(voice);
+    }
+
+    log(voice.sound.id + ' finished');
+    voice.sound.trigger('finish');
+  }
+
+  _onVoiceEnded(voice) {
+    this._fading = this._fading.filter((fading) => fading !== voice);
+
+    voice.gain.disconnect();
+
+    if (voice === this._next) {
+      // the scheduled song played all the way through without being claimed
+      this._next = null;
+    }
+
+    this._finish(voice);
+
+    this._unload(voice.url);
+  }
+
+}
+
+export default GaplessSpeaker;
@@ -1,5 +1,9 @@
 /*! A Feed.fm joint: github.com/feedfm/Javascript-SDK */
 import Speaker from './speaker';
+import GaplessSpeaker from './gapless-speaker';
+import PcmSpeaker, { createNullSink } from './pcm-speaker';
+import MemorySpeaker from './memory-speaker';
+import FakeFeedServer from './fake-server';
 import log from './log';
 import { version } from '../package.json';
 import Session from './session';
@@ -7,19 +11,50 @@ import Player from './player';
 import Listener from './listener';
 import PlayerView from './player-view';
 import SimulcastPlayer from './simulcast-player';
+import MediaSession from './media-session';
 import { deleteClientId as resetClientId, getClientId } from './client-id';
 import { setBaseUrl } from './base-url';
+import { setTransport } from './transport';
+import {
+  FeedError,
+  InvalidCredentialsError,
+  MusicUnavailableError,
+  PlaysExhaustedError,
+  SkipDeniedError,
+  SeekNotAllowedError,
+  PlacementUnavailableError,
+  NetworkError,
+  PlaybackNotAllowedError,
+  ServerError
+} from './errors';
 
 export default {
   Speaker,
+  GaplessSpeaker,
+  PcmSpeaker,
+  createNullSink,
+  MemorySpeaker,
+  FakeFeedServer,
   Session,
   Player,
   Listener,
   PlayerView,
   SimulcastPlayer,
+  MediaSession,
   log,
   version,
   resetClientId,
   getClientId,
-  setBaseUrl
+  setBaseUrl,
+  setTransport,
+  FeedError,
+  InvalidCredentialsError,
+  MusicUnavailableError,
+  PlaysExhaustedError,
+  SkipDeniedError,
+  SeekNotAllowedError,
+  PlacementUnavailableError,
+  NetworkError,
+  PlaybackNotAllowedError,
+  ServerError
 };
@@ -2,6 +2,8 @@
 import Events from './events';
 import { getClientId } from './client-id';
 import { getBaseUrl } from './base-url';
+import { getTransport, checkResponse } from './transport';
+import { ServerErrorCode, MusicUnavailableError, NetworkError, isServerError } from './errors';
 
 /**
  * This class connects to a specific simulcast stream and
@@ -21,17 +23,26 @@ import { getBaseUrl } from './base-url';
  *    music-stopped - indicates that music has stopped streaming. This maps
  *        up to the end of a broadcast, and not a 'pause' in music.
  *    state-changed - indicates the state of the player changed
+ *    error - passed a FeedError (see errors.js) when music is unavailable
+ *        or a request to the server fails
+ * 
+ * The optional 'options' argument to the constructor may have a
+ * 'transport' attribute, which is a function with the signature of
+ * window.fetch that will be used for all requests.
  * 
  * demo: https://jsbin.com/biwogiyewu/edit?html,js,output
  */
 
 class Listener {
 
-  constructor(uuid) {
+  constructor(uuid, options) {
     Object.assign(this, Events);
 
+    options = options || {};
+
     this._uuid = uuid;
     this._state = 'idle';
+    this._transport = options.transport || null;
     //this._activePlay = null;
   }
 
@@ -41,7 +52,7 @@ class Listener {
       delete this._timeout;
     }
 
-    getClientId().then((clientId) => {
+    getClientId(this._transport).then((clientId) => {
       this.onTimeout(clientId);
     });
   }
@@ -65,8 +76,26 @@ class Listener {
     }
   }
 
+  _ajax(url, request) {
+    return (this._transport || getTransport())(url, request)
+      .then(checkResponse, (error) => {
+        throw new NetworkError('failed', 'request to ' + url + ' failed', error);
+      });
+  }
+
+  _musicUnavailable() {
+    this._state = 'music-unavailable';
+
+    try {
+      this.trigger('music-unavailable');
+      this.trigger('error', new MusicUnavailableError());
+    } catch (e) { 
+      /* ignore */ 
+    }
+  }
+
   onTimeout(clientId) {
-    fetch(getBaseUrl() + `/api/v2/simulcast/${this._uuid}/listen`, {
+    this._ajax(getBaseUrl() + `/api/v2/simulcast/${this._uuid}/listen`, {
       method: 'POST',
       body: JSON.stringify({
         client_id: clientId,
@@ -125,9 +154,8 @@ class Listener {
           }
 
         } else {
-          if (response.error && (response.error.code === 19)) {
-            this._state = 'music-unavailable';
-            this.trigger('music-unavailable');
+          if (response.error && (response.error.code === ServerErrorCode.MUSIC_UNAVAILABLE)) {
+            this._musicUnavailable();
             
             // don't schedule another update
             return;
@@ -139,30 +167,24 @@ class Listener {
         }, delay);
 
       })
-      .catch((response) => {
-        if (response.status === 403) {
-          try {
-            var fullResponse = JSON.parse(response.responseText);
+      .catch((error) => {
+        if (isServerError(error, 403, ServerErrorCode.MUSIC_UNAVAILABLE)) {
+          this._musicUnavailable();
+          return;
+        }
 
-            if (fullResponse.error && (fullResponse.error.code === 19)) {
-              try {
-                this._state = 'music-unavailable';
-
-                this.trigger('music-unavailable');
-              } catch (e) { 
-                /* ignore */ 
-              }
-              return;
-            }            
-            
-            console.log('unexpected error:', fullResponse);
+        if (error instanceof NetworkError) {
+          console.log('odd response', error);
 
+          try {
+            this.trigger('error', error);
           } catch (e) {
-            // some other response - fall through and try again
-            console.log('bad response', e.message);
+            /* ignore */
           }
+
         } else {
-          console.log('odd response', response);
+          // some other response - fall through and try again
+          console.log('unexpected error:', error);
         }
 
         this._timeout = setTimeout(() => {
@@ -28,7 +28,7 @@ let log = function () {
 
   log.history.push(historyEntry);
 
-  if (history.length > 500) {
+  if (log.history.length > 500) {
     log.history.shift();
   }
 };
@@ -0,0 +1,195 @@
+/*global MediaMetadata:false */
+
+/*
+ * The MediaSession publishes what a Player or SimulcastPlayer is playing
+ * to the browser's Media Session API (navigator.mediaSession), so lock
+ * screens, Bluetooth headsets and keyboard media keys show the current
+ * song and can control playback. It is opt-in:
+ *
+ *   var player = new Feed.Player(token, secret);
+ *   var mediaSession = new Feed.MediaSession(player, {
+ *     artwork: function (play) { return [ { src: ..., sizes: '512x512' } ]; }
+ *   });
+ *
+ *   mediaSession.destroy(); // stop publishing and handling actions
+ *
+ * The track title, artist and release of the current play are published
+ * as the metadata, along with its artwork. By default, the artwork comes
+ * from the 'artwork_url' of the play's release or audio file 'extra'
+ * values, when present; the 'artwork' option can return a list of
+ * MediaImage objects for a play instead.
+ *
+ * For the Player, the 'play', 'pause' and 'nexttrack' actions call play(),
+ * pause() and skip(), and the playback position is kept up to date, including
+ * after a seek(). The 'nexttrack' action is only offered while maybeCanSkip()
+ * is true, and is updated whenever the skip status changes.
+ *
+ * For the SimulcastPlayer, the 'play' and 'pause' actions call connect()
+ * and disconnect(), since simulcast streams can't be skipped.
+ *
+ * Creating one where the Media Session API isn't available does nothing.
+ */
+
+import log from './log';
+import SimulcastPlayer from './simulcast-player';
+import { handled } from './util';
+
+function defaultArtwork(play) {
+  var audioFile = play.audio_file;
+  var url = (audioFile.release && audioFile.release.artwork_url) ||
+    (audioFile.extra && audioFile.extra.artwork_url);
+
+  return url ? [ { src: url } ] : [];
+}
+
+class MediaSession {
+
+  constructor(player, options) {
+    options = options || {};
+
+    this._player = player;
+    this._artwork = options.artwork || defaultArtwork;
+    this._simulcast = (player instanceof SimulcastPlayer);
+    this._mediaSession = ((typeof navigator !== 'undefined') && navigator.mediaSession) || null;
+
+    if (!this._mediaSession) {
+      log('media session API is not available');
+      return;
+    }
+
+    if (this._simulcast) {
+      player.on('play-started', this._onSimulcastPlay, this);
+      player.on('state-changed', this._onSimulcastState, this);
+
+      this._setActions({
+        play: () => player.connect(),
+        pause: () => player.disconnect()
+      });
+
+      this._onSimulcastPlay(player.getCurrentPlay());
+
+    } else {
+      player.on('play-started', this._onPlayStarted, this);
+      player.on('play-paused', this._onPlayPaused, this);
+      player.on('play-resumed', this._onPlayResumed, this);
+      player.on('play-seeked', this._updatePosition, this);
+      player.on('play-stopped', this._onPlayStopped, this);
+      player.on('plays-exhausted', this._onPlayStopped, this);
+      player.on('skip-status-changed', this._updateSkipAction, this);
+
+      this._setActions({
+        play: () => handled(player.play()),
+        pause: () => handled(player.pause()),
+        nexttrack: null
+      });
+
+      if (player.getActivePlay()) {
+        this._onPlayStarted(player.getActivePlay());
+      }
+    }
+  }
+
+  destroy() {
+    if (!this._mediaSession) {
+      return;
+    }
+
+    this._player.off(null, null, this);
+
+    this._setActions({ play: null, pause: null, nexttrack: null });
+    this._publish(null, 'none');
+
+    this._mediaSession = null;
+  }
+
+  _onPlayStarted(play) {
+    this._publish(play, 'playing');
+    this._updatePosition();
+    this._updateSkipAction();
+  }
+
+  _onPlayPaused() {
+    this._mediaSession.playbackState = 'paused';
+    this._updatePosition();
+  }
+
+  _onPlayResumed() {
+    this._mediaSession.playbackState = 'playing';
+    this._updatePosition();
+  }
+
+  _onPlayStopped() {
+    this._publish(null, 'none');
+    this._setActions({ nexttrack: null });
+  }
+
+  _updateSkipAction() {
+    this._setActions({
+      nexttrack: this._player.maybeCanSkip() ? () => handled(this._player.skip()) : null
+    });
+  }
+
+  _onSimulcastPlay(play) {
+    this._publish(play, (this._player.getCurrentState() === 'idle') ? 'none' : 'playing');
+  }
+
+  _onSimulcastState(state) {
+    if (state === 'idle') {
+      this._publish(null, 'none');
+    }
+  }
+
+  _publish(play, playbackState) {
+    var mediaSession = this._mediaSession;
+
+    if (play && (typeof MediaMetadata !== 'undefined')) {
+      var audioFile = play.audio_file;
+
+      mediaSession.metadata = new MediaMetadata({
+        title: (audioFile.track && audioFile.track.title) || '',
+        artist: (audioFile.artist && audioFile.artist.name) || '',
+        album: (audioFile.release && audioFile.release.title) || '',
+        artwork: this._artwork(play)
+      });
+
+    } else {
+      mediaSession.metadata = null;
+
+    }
+
+    mediaSession.playbackState = playbackState;
+  }
+
+  // the browser extrapolates the position from here while we're playing
+  _updatePosition() {
+    var duration = this._player.getDuration() / 1000;
+
+    if (!this._mediaSession.setPositionState || !duration) {
+      return;
+    }
+
+    try {
+      this._mediaSession.setPositionState({
+        duration: duration,
+        position: Math.min(this._player.getPosition() / 1000, duration),
+        playbackRate: 1
+      });
+    } catch (e) {
+      log('unable to set media session position', e);
+    }
+  }
+
+  _setActions(actions) {
+    for (let action in actions) {
+      try {
+        this._mediaSession.setActionHandler(action, actions[action]);
+      } catch (e) {
+        // browsers throw on actions they don't support
+        log('unable to set media session handler for ' + action, e);
+      }
+    }
+  }
+
+}
+
+export default MediaSession;
@@ -0,0 +1,115 @@
+/*
+ * The MemorySpeaker is a speaker (see speaker.js) for tests. It doesn't
+ * retrieve or play any audio, and time only passes when you say so, so
+ * tests that use it run quickly and give the same results every time:
+ *
+ *   var speaker = new Feed.MemorySpeaker({
+ *     durationMs: 180000  // length of every song, unless set with setDuration()
+ *   });
+ *
+ *   var player = new Feed.Player(token, secret, { speaker: speaker });
+ *
+ *   await player.play();
+ *   speaker.advance(30000); // play 30 seconds of music
+ *
+ * Songs 'play' by writing samples with a value of 1.0 to an optional
+ * sink (see pcm-speaker.js), so the sink sees the volume, fades and
+ * crossfades applied to each song, one sample per millisecond.
+ *
+ * The speaker can be controlled with:
+ *
+ *   advance(ms): move playback forward by 'ms' milliseconds, triggering
+ *     'elapse' and 'finish' events along the way
+ *   setDuration(url, ms): set the length of the song at 'url'
+ *   failLoad(url, error): make any future attempts to play 'url' fail
+ *     with the given error (or a generic one)
+ *   getActiveUrl(): return the url of the song playing now, or null
+ *
+ * Sounds start playing (and trigger their 'play' event) asynchronously,
+ * just like they do with the browser speaker, so wait for the 'play'
+ * event or a Promise from the Player before advancing.
+ */
+
+import PcmSpeaker from './pcm-speaker';
+
+const DEFAULT_DURATION_MS = 180000;
+
+// one sample per millisecond keeps things simple
+const SAMPLE_RATE = 1000;
+
+class MemorySpeaker extends PcmSpeaker {
+
+  constructor(options) {
+    options = options || {};
+
+    super({
+      decode: () => Promise.reject(new Error('MemorySpeaker does not decode audio')),
+      sink: options.sink,
+      formats: options.formats || 'aac,mp3',
+      sampleRate: SAMPLE_RATE,
+      channels: 1,
+      bufferMs: options.bufferMs
+    });
+
+    this._durationMs = options.durationMs || DEFAULT_DURATION_MS;
+    this._durations = {};
+    this._failures = {};
+  }
+
+  advance(ms) {
+    while (ms > 0) {
+      var step = Math.min(ms, this._bufferMs);
+
+      if (this._playing()) {
+        this._render(step);
+      }
+
+      ms -= step;
+    }
+  }
+
+  setDuration(url, ms) {
+    this._durations[url] = ms;
+  }
+
+  failLoad(url, error) {
+    this._failures[url] = error || new Error('unable to load ' + url);
+  }
+
+  getActiveUrl() {
+    return this._active ? this._active.sound.url : null;
+  }
+
+  _retrieve(url) {
+    if (url in this._failures) {
+      return Promise.reject(this._failures[url]);
+    }
+
+    var ms = (url in this._durations) ? this._durations[url] : this._durationMs;
+
+    return Promise.resolve({
+      sampleRate: SAMPLE_RATE,
+      channelData: [ new Float32Array(Math.ceil(ms * SAMPLE_RATE / 1000)).fill(1) ]
+    });
+  }
+
+  // time only moves forward when advance() is called
+  _startTimer() {
+    this._timer = true;
+  }
+
+  _stopTimer() {
+    if (!this._timer) {
+      return;
+    }
+
+    this._timer = null;
+
+    if (this._sink.flush) {
+      this._sink.flush();
+    }
+  }
+
+}
+
+export default MemorySpeaker;
@@ -0,0 +1,566 @@
+/*
+ * The PcmSpeaker has the same interface as the browser Speaker (see
+ * speaker.js), but rather than using the Audio element and Web Audio,
+ * it retrieves and decodes songs itself and writes the mixed audio to a
+ * 'sink'. This lets the Player and SimulcastPlayer run outside of the
+ * browser, such as on a node powered kiosk or in-store device:
+ *
+ *   var speaker = new Feed.PcmSpeaker({
+ *     decode: decode,  // function(arrayBuffer, url) that returns a Promise
+ *                      // resolving to the decoded audio (see below)
+ *     sink: sink,      // receives PCM audio (defaults to a null sink)
+ *     formats: 'mp3',  // comma separated list of formats 'decode' supports
+ *     sampleRate: 44100, // sample rate of the audio passed to the sink
+ *     channels: 2,     // number of channels passed to the sink
+ *     bufferMs: 100,   // milliseconds of audio written to the sink at a time
+ *     transport: fetch // used to retrieve audio files (see transport.js)
+ *   });
+ *
+ *   var player = new Feed.Player(token, secret, { speaker: speaker });
+ *
+ * Decoded audio looks like a Web Audio AudioBuffer:
+ *
+ *   {
+ *     sampleRate: 44100,
+ *     channelData: [ Float32Array, ... ] // one array of samples per channel
+ *   }
+ *
+ * A sink is an object with the following methods:
+ *
+ *   write(channelData, sampleRate): play the given audio, passed as one
+ *     Float32Array of samples (-1..1) per channel. Calls are made in real
+ *     time, every 'bufferMs' milliseconds, while something is playing.
+ *   flush(): (optional) called when playback pauses or stops, so the sink
+ *     can drop any audio it has buffered up.
+ *
+ * createNullSink() returns a sink that throws away the audio it is given,
+ * which is useful for testing.
+ *
+ * Fades, trimming and volume normalization are applied to the samples
+ * before they are written. Songs that overlap (see the 'overlapSeconds'
+ * sound option) are mixed with the song that follows them.
+ */
+
+import log from './log';
+import Events from './events';
+import { Sound } from './speaker';
+import { getTransport, checkResponse } from './transport';
+import { uniqueId } from './util';
+
+const DEFAULT_SAMPLE_RATE = 44100;
+const DEFAULT_CHANNELS = 2;
+const DEFAULT_BUFFER_MS = 100;
+
+// don't try to catch up on more than this much audio after a stalled timer
+const MAX_CATCH_UP_MS = 1000;
+
+export function createNullSink() {
+  return {
+    write() {},
+    flush() {}
+  };
+}
+
+// a song being played: the sound, its decoded audio, and how far in
+// we've played it. 'frame' counts frames at the speaker's sample rate,
+// and 'time' (in seconds) is derived from it, so adding up buffers
+// never drifts short of the end of the song.
+function createVoice(sound, audio, sampleRate) {
+  var voice = {
+    sound: sound,
+    audio: audio,
+    frame: 0,
+    time: 0,
+    duration: audio.channelData[0].length / audio.sampleRate,
+    paused: false
+  };
+
+  setVoiceTime(voice, sound.startPosition ? (sound.startPosition / 1000) : 0, sampleRate);
+
+  return voice;
+}
+
+function setVoiceTime(voice, seconds, sampleRate) {
+  voice.frame = Math.round(seconds * sampleRate);
+  voice.time = voice.frame / sampleRate;
+}
+
+// seconds into the song at which this voice should stop playing
+function voiceEnd(voice) {
+  var end = voice.duration;
+
+  if (voice.sound.endPosition) {
+    end = Math.min(end, voice.sound.endPosition / 1000);
+  }
+
+  return end;
+}
+
+class PcmSpeaker {
+
+  constructor(options) {
+    Object.assign(this, Events);
+
+    options = options || {};
+
+    if (typeof options.decode !== 'function') {
+      throw new Error('PcmSpeaker requires a "decode" function');
+    }
+
+    this._decode = options.decode;
+    this._sink = options.sink || createNullSink();
+    this._formats = options.formats || 'mp3';
+    this._sampleRate = options.sampleRate || DEFAULT_SAMPLE_RATE;
+    this._channels = options.channels || DEFAULT_CHANNELS;
+    this._bufferMs = options.bufferMs || DEFAULT_BUFFER_MS;
+    this._transport = options.transport || null;
+
+    this.vol = 100;
+    this.outstandingSounds = {};
+
+    this._loads = {};       // url -> Promise resolving to decoded audio
+    this._prepared = null;  // url most recently passed to prepare()
+
+    this._starting = null;  // { sound, pauseAfterPlay } while waiting for audio to decode
+    this._active = null;    // voice for the sound currently playing
+    this._fading = null;    // voice for a sound that is fading out
+
+    this._timer = null;
+    this._lastTick = 0;
+
+    this._renderedMs = 0;   // milliseconds of audio written to the sink so far
+    this._duck = { from: 1, to: 1, startMs: 0, rampMs: 0 };
+  }
+
+  initializeAudio() {
+    // nothing to unlock outside of the browser
+    log('pcm speaker initialized');
+  }
+
+  getSupportedFormats() {
+    return this._formats;
+  }
+
+  create(url, optionsAndCallbacks) {
+    var id = uniqueId('feed-play-');
+    var sound = new Sound(this, optionsAndCallbacks, id, url);
+
+    log('created play ' + id + ' (' + url + ')', optionsAndCallbacks);
+
+    this.outstandingSounds[sound.id] = sound;
+
+    // a song that can't be loaded finishes without playing (see speaker.js).
+    // _playSound() reports the failure for sounds it is starting.
+    this._load(url).catch((error) => {
+      if (this.outstandingSounds[sound.id] &&
+        !(this._starting && (this._starting.sound === sound)) &&
+        !(this._active && (this._active.sound === sound))) {
+        log('unable to load audio for ' + sound.id, error);
+        sound.trigger('finish', error);
+      }
+    });
+
+    return sound;
+  }
+
+  prepare(url) {
+    var previous = this._prepared;
+
+    this._prepared = url;
+    this._load(url);
+
+    if (previous && (previous !== url)) {
+      this._unload(previous);
+    }
+  }
+
+  flush() {
+    // destroy all outstanding sound objects
+    for (let id in this.outstandingSounds) {
+      this.outstandingSounds[id].destroy();
+    }
+  }
+
+  // set the volume (0-100)
+  setVolume(value) {
+    if (typeof value !== 'undefined') {
+      this.vol = value;
+
+      this.trigger('volume', value);
+    }
+
+    return this.vol;
+  }
+
+  getVolume() {
+    return this.vol;
+  }
+
+  // audio doesn't go through Web Audio, so there is nothing to analyse
+  getAnalyserNode() {
+    return null;
+  }
+
+  setDuckLevel(level, rampMs) {
+    this._duck = {
+      from: this._duckLevel(),
+      to: level,
+      startMs: this._renderedMs,
+      rampMs: rampMs || 0
+    };
+  }
+
+  // current level music is ducked to (see ducker.js)
+  _duckLevel() {
+    var duck = this._duck;
+    var progress = duck.rampMs ? Math.min((this._renderedMs - duck.startMs) / duck.rampMs, 1) : 1;
+
+    return duck.from + ((duck.to - duck.from) * progress);
+  }
+
+  _load(url) {
+    if (!this._loads[url]) {
+      log('loading ' + url);
+
+      this._loads[url] = this._retrieve(url);
+
+      // failures are reported to the sounds using the url, and we
+      // try again the next time it is asked for
+      this._loads[url].catch(() => {
+        delete this._loads[url];
+      });
+    }
+
+    return this._loads[url];
+  }
+
+  // retrieve and decode the audio at 'url'
+  _retrieve(url) {
+    return (this._transport || getTransport())(url)
+      .then(checkResponse)
+      .then((response) => response.arrayBuffer())
+      .then((buffer) => this._decode(buffer, url));
+  }
+
+  // forget the decoded audio for 'url' if nothing needs it any more
+  _unload(url) {
+    if (url === this._prepared) {
+      return;
+    }
+
+    if ((this._active && (this._active.sound.url === url)) ||
+        (this._fading && (this._fading.sound.url === url))) {
+      return;
+    }
+
+    for (let id in this.outstandingSounds) {
+      if (this.outstandingSounds[id].url === url) {
+        return;
+      }
+    }
+
+    delete this._loads[url];
+  }
+
+  _playSound(sound) {
+    if (this._active && (this._active.sound === sound)) {
+      if (this._active.paused) {
+        log(sound.id + ' was paused, so resuming');
+
+        this._active.paused = false;
+
+        if (this._fading) {
+          this._fading.paused = false;
+        }
+
+        this._startTimer();
+
+        sound.trigger('play');
+
+      } else {
+        log(sound.id + ' is already playing');
+      }
+
+      return;
+    }
+
+    if (this._starting && (this._starting.sound === sound)) {
+      log(sound.id + ' is still loading, so it will play when ready');
+      this._starting.pauseAfterPlay = false;
+      return;
+    }
+
+    // notify clients that whatever was previously playing has finished
+    if (this._active) {
+      var finishedSound = this._active.sound;
+      this._active = null;
+
+      finishedSound.trigger('finish');
+    }
+
+    var starting = this._starting = {
+      sound: sound,
+      pauseAfterPlay: false
+    };
+
+    log(sound.id + ' waiting for audio');
+
+    this._load(sound.url)
+      .then((audio) => {
+        if (this._starting !== starting) {
+          log(sound.id + ' loaded, but we don\'t want it any more');
+          return;
+        }
+
+        this._starting = null;
+
+        if (!this.outstandingSounds[sound.id]) {
+          log(sound.id + ' loaded, but sound has been destroyed');
+          return;
+        }
+
+        log(sound.id + ' starting playback');
+
+        var voice = this._active = createVoice(sound, audio, this._sampleRate);
+
+        // configure fade-out and overlap now that we know the duration
+        sound.setEnd(voice.duration);
+
+        this._startTimer();
+
+        sound.trigger('play');
+
+        if (starting.pauseAfterPlay) {
+          this._pauseSound(sound);
+        }
+      })
+      .catch((error) => {
+        if (this._starting !== starting) {
+          return;
+        }
+
+        this._starting = null;
+
+        log('error starting playback with sound ' + sound.id, error);
+        sound.trigger('finish', error);
+      });
+  }
+
+  _pauseSound(sound) {
+    if (this._starting && (this._starting.sound === sound)) {
+      this._starting.pauseAfterPlay = true;
+      return;
+    }
+
+    if (!this._active || (this._active.sound !== sound) || this._active.paused) {
+      return;
+    }
+
+    this._active.paused = true;
+
+    if (this._fading) {
+      this._fading.paused = true;
+    }
+
+    this._stopTimer();
+
+    sound.trigger('pause');
+  }
+
+  _position(sound) {
+    if (this._active && (this._active.sound === sound)) {
+      return Math.floor(this._active.time * 1000);
+    }
+
+    return 0;
+  }
+
+  _duration(sound) {
+    if (this._active && (this._active.sound === sound)) {
+      return Math.floor(this._active.duration * 1000);
+    }
+
+    return 0;
+  }
+
+  _seekSound(sound, ms) {
+    if (this._active && (this._active.sound === sound)) {
+      setVoiceTime(this._active, Math.min(ms / 1000, voiceEnd(this._active)), this._sampleRate);
+
+    } else if (this._starting && (this._starting.sound === sound)) {
+      sound.startPosition = ms;
+
+    }
+  }
+
+  _destroySound(sound) {
+    sound.off();
+
+    if (this._active && (this._active.sound === sound)) {
+      log('destroy triggered for current sound', sound.id);
+      this._active = null;
+
+    } else if (this._starting && (this._starting.sound === sound)) {
+      log('destroy triggered for loading sound', sound.id);
+      this._starting = null;
+
+    } else {
+      log('destroy triggered for inactive sound', sound.id);
+
+    }
+
+    delete this.outstandingSounds[sound.id];
+
+    this._unload(sound.url);
+
+    if (!this._playing()) {
+      this._stopTimer();
+    }
+  }
+
+  _playing() {
+    return (this._active && !this._active.paused) || (this._fading && !this._fading.paused);
+  }
+
+  _startTimer() {
+    if (this._timer) {
+      return;
+    }
+
+    this._lastTick = Date.now();
+    this._timer = setInterval(() => this._tick(), this._bufferMs);
+  }
+
+  _stopTimer() {
+    if (!this._timer) {
+      return;
+    }
+
+    clearInterval(this._timer);
+    this._timer = null;
+
+    if (this._sink.flush) {
+      this._sink.flush();
+    }
+  }
+
+  _tick() {
+    var now = Date.now();
+    var elapsedMs = Math.min(now - this._lastTick, MAX_CATCH_UP_MS);
+
+    this._lastTick = now;
+
+    this._render(elapsedMs);
+  }
+
+  // write 'elapsedMs' worth of audio to the sink, then advance our songs
+  // and trigger any events
+  _render(elapsedMs) {
+    var frames = Math.round(elapsedMs * this._sampleRate / 1000);
+
+    if (frames === 0) {
+      return;
+    }
+
+    var output = [];
+    for (let c = 0; c < this._channels; c++) {
+      output.push(new Float32Array(frames));
+    }
+
+    for (let voice of [ this._fading, this._active ]) {
+      if (voice && !voice.paused) {
+        this._mix(voice, output, frames);
+      }
+    }
+
+    this._sink.write(output, this._sampleRate);
+
+    this._renderedMs += elapsedMs;
+
+    this._advance();
+
+    if (!this._playing()) {
+      this._stopTimer();
+    }
+  }
+
+  // add 'frames' worth of audio from the voice into 'output', and move
+  // the voice forward
+  _mix(voice, output, frames) {
+    var audio = voice.audio;
+    var sound = voice.sound;
+    var end = voiceEnd(voice);
+    var step = audio.sampleRate / this._sampleRate;
+    var length = audio.channelData[0].length;
+
+    // volume is recalculated once per buffer, as the browser does
+    // every time the audio element reports progress
+    var volume = sound.volumeAt(voice.time, this.vol) * this._duckLevel();
+
+    var position = voice.time * audio.sampleRate;
+    var last = Math.min(frames, Math.ceil((end - voice.time) * this._sampleRate));
+
+    for (let c = 0; c < output.length; c++) {
+      var source = audio.channelData[Math.min(c, audio.channelData.length - 1)];
+      var target = output[c];
+
+      for (let i = 0; i < last; i++) {
+        // linear interpolation between source samples
+        var at = position + (i * step);
+        var index = Math.floor(at);
+
+        if (index >= length) {
+          break;
+        }
+
+        var next = (index + 1 < length) ? source[index + 1] : source[index];
+        var sample = source[index] + ((next - source[index]) * (at - index));
+
+        target[i] += sample * volume;
+      }
+    }
+
+    voice.frame += frames;
+    voice.time = voice.frame / this._sampleRate;
+  }
+
+  _advance() {
+    if (this._fading && (this._fading.time >= voiceEnd(this._fading))) {
+      var faded = this._fading;
+      this._fading = null;
+
+      this._unload(faded.sound.url);
+    }
+
+    var active = this._active;
+
+    if (!active || active.paused) {
+      return;
+    }
+
+    var sound = active.sound;
+
+    if (active.time >= voiceEnd(active)) {
+      // song reached end of play
+      log('active sound ended');
+
+      this._active = null;
+      sound.trigger('finish');
+
+    } else if (sound.overlapStart && (active.time >= sound.overlapStart)) {
+      // song hit start of overlap, so keep it playing in the background
+      this._fading = active;
+      this._active = null;
+
+      // pretend the song finished
+      sound.trigger('finish');
+
+    } else {
+      sound.trigger('elapse');
+
+    }
+  }
+
+}
+
+export default PcmSpeaker;
@@ -0,0 +1,122 @@
+/*
+ * The PlayHistory keeps track of the plays a Player has started, so
+ * clients can show a 'recently played' list and listening statistics.
+ * The Player feeds it from its session events, and exposes it through
+ * player.getHistory() and player.getStats().
+ *
+ * getHistory() returns the most recent plays first, as:
+ *
+ *   {
+ *     play: play,           // the play object (see README)
+ *     startedAt: 1600000000000, // when playback started (ms since the epoch)
+ *     endedAt: 1600000180000,   // when playback ended, or null if still playing
+ *     listenedMs: 180000,   // milliseconds of the song actually heard
+ *     outcome: 'completed', // 'completed', 'skipped', 'invalidated', 'stopped',
+ *                           // or null if still playing
+ *     liked: true           // true if liked, false if disliked, otherwise null
+ *   }
+ *
+ * Only the most recent 'maxLength' plays are kept, but the statistics
+ * from getStats() cover every play since the history was created:
+ *
+ *   {
+ *     plays: 12,            // number of plays started
+ *     listenedMs: 2160000,  // total milliseconds of music heard
+ *     completed: 9,         // number of plays with each outcome
+ *     skipped: 2,
+ *     invalidated: 0,
+ *     stopped: 1
+ *   }
+ */
+
+const DEFAULT_MAX_LENGTH = 50;
+
+// time between 'elapse' updates longer than this is a jump (like a seek),
+// rather than listening
+const MAX_LISTEN_STEP_MS = 5000;
+
+class PlayHistory {
+
+  constructor(maxLength) {
+    this._maxLength = maxLength || DEFAULT_MAX_LENGTH;
+
+    this._entries = [];  // most recent last
+    this._stats = {
+      plays: 0,
+      listenedMs: 0,
+      completed: 0,
+      skipped: 0,
+      invalidated: 0,
+      stopped: 0
+    };
+  }
+
+  // playback of 'play' has started
+  start(play) {
+    this._entries.push({
+      play: play,
+      startedAt: Date.now(),
+      endedAt: null,
+      listenedMs: 0,
+      outcome: null
+    });
+
+    if (this._entries.length > this._maxLength) {
+      this._entries.shift();
+    }
+
+    this._stats.plays++;
+  }
+
+  // playback of the play with id 'playId' moved forward from 'fromMs' to
+  // 'toMs' into the song
+  progress(playId, fromMs, toMs) {
+    var entry = this._find(playId);
+    var step = toMs - fromMs;
+
+    if (!entry || entry.outcome || (step <= 0) || (step > MAX_LISTEN_STEP_MS)) {
+      return;
+    }
+
+    entry.listenedMs += step;
+    this._stats.listenedMs += step;
+  }
+
+  // playback of the play with id 'playId' is over, with one of the
+  // outcomes listed above
+  finish(playId, outcome) {
+    var entry = this._find(playId);
+
+    if (!entry || entry.outcome) {
+      return;
+    }
+
+    entry.endedAt = Date.now();
+    entry.outcome = outcome;
+
+    this._stats[outcome]++;
+  }
+
+  getHistory() {
+    return this._entries.slice().reverse().map((entry) => Object.assign({}, entry, {
+      liked: ('liked' in entry.play) ? entry.play.liked : null
+    }));
+  }
+
+  getStats() {
+    return Object.assign({}, this._stats);
+  }
+
+  _find(playId) {
+    for (let i = this._entries.length - 1; i >= 0; i--) {
+      if (this._entries[i].play.id === playId) {
+        return this._entries[i];
+      }
+    }
+
+    return null;
+  }
+
+}
+
+export default PlayHistory;
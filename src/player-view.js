@@ -50,6 +50,12 @@
  *  music' or 'can't skip') will be displayed for a few seconds in the
  *  status section as well.
  *
+ *  The skip button is enabled whenever the server says the current song
+ *  can be skipped. While it is disabled, its 'title' explains why (the song
+ *  can't be skipped, or there are no skips left until a given time). The
+ *  explanation can be changed by overriding the formatSkipStatus(status)
+ *  method, which is passed the value of player.getSkipStatus().
+ *
  *  The rendering of the status can be changed by overriding
  *  the renderStatus(statusText) method, and the rendering of the position
  *  can be changed by overriding the renderPosition(positionInMillis, durationInMillis)
@@ -63,17 +69,22 @@
 
 import log from './log';
 
-// make sure NodeList has forEach, since we use it below
-if (window.NodeList && !NodeList.prototype.forEach) {
-  NodeList.prototype.forEach = function (callback, thisArg) {
-    thisArg = thisArg || window;
-    for (var i = 0; i < this.length; i++) {
-      callback.call(thisArg, this[i], i, this);
-    }
-  };
+// make sure NodeList has forEach, since we use it below. This is done when
+// the first view is created, so this module can be loaded without a DOM.
+function polyfillNodeList() {
+  if (window.NodeList && !NodeList.prototype.forEach) {
+    NodeList.prototype.forEach = function (callback, thisArg) {
+      thisArg = thisArg || window;
+      for (var i = 0; i < this.length; i++) {
+        callback.call(thisArg, this[i], i, this);
+      }
+    };
+  }
 }
 
 var PlayerView = function (id, player) {
+  polyfillNodeList();
+
   this.alertId = null;
   this.durationId = null;
   this.startedPlayback = false;
@@ -92,6 +103,7 @@ var PlayerView = function (id, player) {
   this.player.on('play-disliked', this._onPlayDisliked, this);
   this.player.on('plays-exhausted', this._onPlaysExhausted, this);
   this.player.on('skip-denied', this._onSkipDenied, this);
+  this.player.on('skip-status-changed', this._onSkipStatusChanged, this);
   this.player.on('suspend', this._onSuspend, this);
 
   this._enableButtonsBasedOnState();
@@ -285,6 +297,27 @@ PlayerView.prototype._onSkipDenied = function () {
   this.renderAlert('Sorry you\'ve temporarily run out of skips!');
 };
 
+PlayerView.prototype._onSkipStatusChanged = function () {
+  this._enableButtonsBasedOnState();
+};
+
+PlayerView.prototype.formatSkipStatus = function (status) {
+  if (status.canSkip) {
+    return '';
+
+  } else if (status.remaining > 0) {
+    // we think there are skips left, so it's this song that can't be skipped
+    return 'This song can\'t be skipped';
+
+  } else if (status.resetsAt) {
+    return 'Out of skips until ' + new Date(status.resetsAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+  } else {
+    return 'You\'ve temporarily run out of skips';
+
+  }
+};
+
 PlayerView.prototype.formatPlay = function (play) {
   return '<span class=\'track\'>' + play.audio_file.track.title +
     '</span> by <span class=\'artist\'>' + play.audio_file.artist.name +
@@ -363,6 +396,7 @@ PlayerView.prototype._onSuspend = function () {
 
 PlayerView.prototype._enableButtonsBasedOnState = function () {
   var state = this.player.getCurrentState(),
+    skipStatus = this.player.getSkipStatus(),
     toEnable,
     toDisable;
 
@@ -371,7 +405,7 @@ PlayerView.prototype._enableButtonsBasedOnState = function () {
     toEnable = ['.pause-button', '.like-button', '.dislike-button'];
     toDisable = ['.play-button', '.start-button', '.resume-button'];
 
-    if (this.player.maybeCanSkip()) {
+    if (skipStatus.canSkip) {
       toEnable.push('.skip-button');
     } else {
       toDisable.push('.skip-button');
@@ -382,7 +416,7 @@ PlayerView.prototype._enableButtonsBasedOnState = function () {
     toEnable = ['.play-button', '.resume-button', '.like-button', '.dislike-button'];
     toDisable = ['.pause-button', '.start-button'];
 
-    if (this.player.maybeCanSkip()) {
+    if (skipStatus.canSkip) {
       toEnable.push('.skip-button');
     } else {
       toDisable.push('.skip-button');
@@ -419,6 +453,11 @@ PlayerView.prototype._enableButtonsBasedOnState = function () {
     });
   }
 
+  var skipText = ((state === 'playing') || (state === 'paused')) ? this.formatSkipStatus(skipStatus) : '';
+  this.$el.querySelectorAll('.skip-button').forEach((element) => {
+    element.title = skipText;
+  });
+
   const classes = this.$el.classList;
   classes.remove('state-playing');
   classes.remove('state-paused');
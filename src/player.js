@@ -16,7 +16,52 @@
  *    crossfadeIn: false,   // when true, songs do not fade in - they start at full volume
  *    normalizeVolume: true, // automatically adjust volume of songs in station to be at same approx loudness
  *    secondsOfCrossfade: 0 // number of seconds to crossfade songs during song transitions
+ *    transitionStyle: null // how one song leads into the next (see below). When not set,
+ *                          // songs fade out over secondsOfCrossfade seconds while the next
+ *                          // song starts, and fade in only when crossfadeIn is set.
+ *    mixSeconds: 0         // with the 'mix' transition style, number of seconds before the
+ *                          // end of a song that the next song starts
+ *    fadeCurve: null       // shape of fades and crossfades: 'linear', 'equal-power' (keeps
+ *                          // the loudness steady through a crossfade) or 'exponential'.
+ *                          // Defaults to 'equal-power' for the 'crossfade' transition style
+ *                          // and 'linear' otherwise.
  *    simulcast: 'uuid'     // id to announce music playback on, for simulcast listeners
+ *    transport: fetch      // function with the signature of window.fetch used for all requests
+ *    lookahead: 1          // number of upcoming plays to keep queued up and ready to play
+ *    resumeSession: false  // when true, remember the active play in localStorage and, after a
+ *                          // page reload, resume it from the same position on the first
+ *                          // play() or tune() call if the server says it is still valid
+ *    rememberStation: false // when true, remember the name of the selected station in
+ *                          // localStorage and select it again when the stations are next
+ *                          // retrieved (station ids change between sessions). Pass the name
+ *                          // of a station options field, such as 'id', to remember that
+ *                          // value instead. When no station matches, the default is used.
+ *    gapless: false        // when true, songs are decoded ahead of time and played with Web Audio,
+ *                          // so each song starts exactly when the previous one ends (see
+ *                          // gapless-speaker.js)
+ *    effects: []           // audio effects, such as 'bass-boost' or 'limiter', that all music
+ *                          // passes through (see effects.js)
+ *    historyLength: 50     // number of recent plays returned by getHistory()
+ *    audioFrames: false    // when true, trigger 'audio-frame' events on every animation frame
+ *                          // while music is playing (see below)
+ *    speaker: speaker      // object implementing the speaker interface (see speaker.js) that
+ *                          // plays the audio, such as a PcmSpeaker outside of the browser.
+ *                          // Defaults to a new Speaker, which plays through the browser.
+ *
+ *  The transitionStyle option picks how songs lead into each other:
+ *
+ *    'crossfade' - the next song starts secondsOfCrossfade seconds before the end
+ *      of the current one, and the two fade into each other over that time
+ *    'fade-out' - the current song fades out over secondsOfCrossfade seconds, then
+ *      the next song starts
+ *    'cut' - the next song starts when the current one ends, with no fades
+ *    'mix' - the next song starts mixSeconds seconds before the end of the current
+ *      one, which fades out over its last secondsOfCrossfade seconds
+ *
+ *  As with secondsOfCrossfade (which stations and placements set with
+ *  'crossfade_seconds'), the transition style and mix point can be overridden by
+ *  'transition_style' and 'mix_seconds' in the options of the placement or
+ *  current station.
  *
  *  In response to a user-interaction event, and before you begin any
  *  music playback, be sure to call:
@@ -34,10 +79,35 @@
  *    unlike() - tell the server to remove the 'like' for this song
  *    dislike() - tell the server we dislike this song, and skip to the next one
  *    skip() - request to skip the current song
+ *    seek(ms) - move to 'ms' milliseconds into the current song (on-demand stations only)
  *    setStationId(xxx) - switch to a different station 
+ *    setStation(query) - switch to the first station matching 'query', such as { name: 'xxx' }
+ *      (see station-query.js)
+ *    setPlacementId(xxx) - switch to a different placement, and retune if we're tuned
  *    setVolume(xxx) - adjust music volume (0-100)
  *    getVolume() - retrieve music volume (0-100)
  *
+ *  play(), pause(), stop(), tune(), like(), unlike(), dislike(), skip(), seek(),
+ *  setStationId(), setStation() and setPlacementId() all return a Promise with the
+ *  outcome of the call:
+ *
+ *    play() - resolves with the play once playback starts or resumes, or
+ *      rejects with a PlaysExhaustedError, MusicUnavailableError or
+ *      InvalidCredentialsError (see errors.js)
+ *    skip(), dislike() - resolve with the next play (or null if there is no
+ *      more music), or reject with a SkipDeniedError
+ *    tune(), setStationId(), setStation() - resolve with the active play. setStation()
+ *      rejects if no station matches
+ *    setPlacementId() - resolves with the active play, or rejects with a
+ *      PlacementUnavailableError if the placement can't be used with our credentials,
+ *      in which case the current placement and any music playing are unchanged
+ *    like(), unlike(), stop() - resolve with the server response
+ *    pause() - resolves with the active play
+ *    seek() - resolves with the new position, after clamping it to the trimmed part
+ *      of the song, or rejects with a SeekNotAllowedError outside of on-demand stations
+ *
+ *  The events below are still triggered whether or not the Promises are used.
+ *
  *  player has a current state that can be queried with 'getCurrentState()':
  *    uninitialized - player is still trying to initialize
  *    unavailable - no music is available
@@ -48,27 +118,89 @@
  *  events emitted by the player:
  *    music-unavailable - user isn't located in the US and can't play music
  *    play-started - this play has begun playback.
+ *    play-seeked - passed the play and the new position (in milliseconds)
+ *      after a successful seek()
  *    play-stopped - player.stop() has been called
  *    skip-denied - the given song could not be skipped due to DMCA rules
+ *    skip-status-changed - passed the value of getSkipStatus() whenever it changes
  *    skip-failed
+ *    placement-unavailable - the placement passed to setPlacementId() can't be used
+ *    error - passed a FeedError (see errors.js) describing any failure, including
+ *      those reported by the events above
+ *    audio-frame - with the audioFrames option, passed { frequency, waveform } on
+ *      every animation frame while music plays. Both are Uint8Arrays filled from
+ *      the speaker's AnalyserNode (see audio-output.js), and they are reused
+ *      from one frame to the next.
  *
  *  Some misc methods:
  *
  *    setMuted(muted)
+ *    setEffects(effects) - replace the audio effects music passes through (see effects.js)
+ *    duck(level, { attackMs, releaseMs }), unduck(), duckWhile(promise, level, options),
+ *      autoDuck(mediaElementOrStream, level, options), removeAutoDuck(mediaElementOrStream) -
+ *      lower the music while something talks over it, without changing getVolume()
+ *      (see ducker.js)
+ *    getHistory() - recently played songs, most recent first, with when and how long they
+ *      played and how they ended (see play-history.js)
+ *    getStats() - totals for this player: plays, listening time, skips and other outcomes,
+ *      and 'skipsRemaining'
+ *    getSkipStatus() - { canSkip, remaining, resetsAt }: whether the server says the current
+ *      song can be skipped, and estimates of how many skips are left this hour and
+ *      when more become available (see skip-budget.js)
+ *    getAnalyserNode() - Web Audio AnalyserNode that all music passes through, for
+ *      visualizers, or null if the speaker doesn't have one
+ *    getStations() - resolves with the stations available in the placement, once they
+ *      have been retrieved by tune() or play()
+ *    findStations(query), findStation(query) - resolve with the stations matching 'query',
+ *      such as { name: 'xxx' } or { genre: 'rock', bpm: [ 120, 140 ] }, or the first of
+ *      them (or null) (see station-query.js)
  *
  */
 
-import { intersection } from './util';
+import { intersection, nextEvent, handled, rejected } from './util';
+import { findStations } from './station-query';
 import Speaker from './speaker';
+import GaplessSpeaker from './gapless-speaker';
+import { createFrameReader } from './audio-output';
+import Ducker from './ducker';
+import PlayHistory from './play-history';
 import log from './log';
 import Events from './events';
 import Session from './session';
 import { getBaseUrl } from './base-url';
 import { getClientId } from './client-id';
+import {
+  InvalidCredentialsError,
+  MusicUnavailableError,
+  PlaysExhaustedError,
+  PlaybackNotAllowedError,
+  SeekNotAllowedError
+} from './errors';
+
+const TRANSITION_CROSSFADE = 'crossfade';
+const TRANSITION_FADE_OUT = 'fade-out';
+const TRANSITION_CUT = 'cut';
+const TRANSITION_MIX = 'mix';
+
+function requestFrame(callback) {
+  if (typeof requestAnimationFrame === 'function') {
+    return requestAnimationFrame(callback);
+  }
+
+  return setTimeout(callback, 1000 / 60);
+}
+
+function cancelFrame(request) {
+  if (typeof cancelAnimationFrame === 'function') {
+    cancelAnimationFrame(request);
+  } else {
+    clearTimeout(request);
+  }
+}
 
 function supports_html5_storage() {
   try {
-    return 'localStorage' in window && window['localStorage'] !== null && (window.localStorage['feed-test'] = true);
+    return (typeof localStorage !== 'undefined') && (localStorage !== null) && (localStorage['feed-test'] = true);
   } catch (e) {
     return false;
   }
@@ -95,6 +227,15 @@ var Player = function (token, secret, options) {
   this.normalizeVolume = ('normalizeVolume' in options) ? options.normalizeVolume : true;
   this.secondsOfCrossfade = options.secondsOfCrossfade || 0;
   this.crossfadeIn = !!options.crossfadeIn;
+  this.fadeCurve = options.fadeCurve || null;
+  this.transitionStyle = options.transitionStyle || null;
+  this.mixSeconds = options.mixSeconds || 0;
+  this.audioFrames = !!options.audioFrames;
+  this._history = new PlayHistory(options.historyLength);
+  this.resumeSession = !!options.resumeSession;
+  this._resumeState = this.resumeSession ? this._loadResumeState() : null;
+  this.rememberStation = options.rememberStation || false;
+  this._rememberedStation = this.rememberStation ? this._loadRememberedStation() : null;
   this._stationsPromise = new Promise((resolve, reject) => {
     this._stationsResolve = resolve;
     this._stationsReject = reject;
@@ -112,9 +253,10 @@ var Player = function (token, secret, options) {
   this.session.on('placement', this._onPlacement, this);
   this.session.on('stations', this._onStations, this);
   this.session.on('station-changed', this._onStationChanged, this);
+  this.session.on('skip-denied', this._onSkipDenied, this);
 
   let player = this;
-  for (let event of [ 'music-unavailable', 'not-in-us', 'invalid-credentials', 'skip-denied']) {
+  for (let event of [ 'music-unavailable', 'not-in-us', 'invalid-credentials', 'skip-denied', 'skip-status-changed', 'placement-unavailable', 'error' ]) {
     this.session.on(event, function() {
       player.trigger.apply(player, [ event ].concat(Array.prototype.slice.call(arguments, 0)));
     });
@@ -126,7 +268,7 @@ var Player = function (token, secret, options) {
     });
   }
 
-  const speaker = this.speaker = new Speaker();
+  const speaker = this.speaker = options.speaker || (options.gapless ? new GaplessSpeaker() : new Speaker());
 
   if (options.brokenWebkitFormats && Speaker.brokenWebkit) {
     let reqFormatList = options.brokenWebkitFormats.split(','),
@@ -162,6 +304,12 @@ var Player = function (token, secret, options) {
     session.setFormats(speaker.getSupportedFormats());
   }
 
+  if (options.effects) {
+    this.setEffects(options.effects);
+  }
+
+  this._ducker = new Ducker(speaker);
+
   this.setMuted(this.isMuted());
 };
 
@@ -173,18 +321,40 @@ Player.prototype.initializeAudio = function () {
 Player.prototype._onPlacement = function(placement) {
   this._placement = placement;
 
+  // the session selects its default station before announcing the stations
+  this._awaitingStations = true;
+
   if (placement.options && placement.options.crossfade_seconds) {
     this.secondsOfCrossfade = placement.options.crossfade_seconds;
   }
 
+  if (placement.options && placement.options.transition_style) {
+    this.transitionStyle = placement.options.transition_style;
+  }
+
+  if (placement.options && placement.options.mix_seconds) {
+    this.mixSeconds = placement.options.mix_seconds;
+  }
+
   this.trigger('placement', placement);
 };
 
 Player.prototype._onStations = function(stations) {
   this._stations = stations;
+  this._awaitingStations = false;
+
+  // no play has been requested yet, so this doesn't retune
+  let remembered = this._findRememberedStation(stations);
+  if (remembered && (remembered !== this._station)) {
+    log('selecting remembered station', remembered);
+    handled(this.session.setStationId(remembered.id));
+  }
 
   this._stationsResolve(stations);
 
+  // later placements replace the stations
+  this._stationsPromise = Promise.resolve(stations);
+
   this.trigger('stations', stations);
 };
 
@@ -201,23 +371,44 @@ Player.prototype._onStationChanged = function(stationId, station) {
 
   }
 
+  if (station.options && ('transition_style' in station.options)) {
+    // apply station level transition style, if available
+    this.transitionStyle = station.options.transition_style;
+
+  } else if (this._placement.options && ('transition_style' in this._placement.options)) {
+    // revert to placement level transition style, if available
+    this.transitionStyle = this._placement.options.transition_style;
+
+  }
+
+  if (station.options && ('mix_seconds' in station.options)) {
+    this.mixSeconds = station.options.mix_seconds;
+
+  } else if (this._placement.options && ('mix_seconds' in this._placement.options)) {
+    this.mixSeconds = this._placement.options.mix_seconds;
+
+  }
+
+  this._saveRememberedStation(station);
+
   this.trigger('station-changed', stationId, station);
 };
 
+Player.prototype.setPlacementId = function (placementId) {
+  log('SET PLACEMENT ID', placementId);
+
+  return this.session.setPlacementId(placementId);
+};
+
 Player.prototype.setStationId = function (stationId) {
   log('SET STATION ID', stationId);
 
-  this.session.setStationId(stationId);
+  return this.session.setStationId(stationId);
 };
 
-Player.prototype._onPlayActive = function (play) {
-  // create a new sound object
-  var options = {
-    play: this._onSoundPlay.bind(this, play.id),
-    pause: this._onSoundPause.bind(this, play.id),
-    finish: this._onSoundFinish.bind(this, play.id),
-    elapse: this._onSoundElapse.bind(this, play.id)
-  };
+// volume, trimming and fade options for the sound that plays 'play'
+Player.prototype._soundOptions = function (play) {
+  var options = {};
 
   if (this.normalizeVolume) {
     options.gain = (play.audio_file.replaygain_track_gain || 0) + (play.station.pre_gain || 0);
@@ -232,13 +423,81 @@ Player.prototype._onPlayActive = function (play) {
     options.endPosition = (play.audio_file.duration_in_seconds - play.audio_file.extra.trim_end) * 1000;
   }
 
-  if (this.secondsOfCrossfade) {
-    if (this.crossfadeIn) {
-      options.fadeInSeconds = this.secondsOfCrossfade;
+  this._transitionOptions(options);
+
+  return options;
+};
+
+// add the fades and overlap for the current transition style to 'options'
+Player.prototype._transitionOptions = function (options) {
+  var seconds = this.secondsOfCrossfade;
+
+  switch (this.transitionStyle) {
+  case TRANSITION_CUT:
+    // no fades, and the next song starts when this one ends
+    break;
+
+  case TRANSITION_CROSSFADE:
+    // the songs fade out and in over the same period
+    if (seconds) {
+      options.fadeInSeconds = seconds;
+      options.fadeOutSeconds = seconds;
+      options.fadeCurve = this.fadeCurve || 'equal-power';
+    }
+    break;
+
+  case TRANSITION_FADE_OUT:
+    // fade out completely, then start the next song
+    if (seconds) {
+      options.fadeOutSeconds = seconds;
+      options.overlapSeconds = 0;
+      options.fadeCurve = this.fadeCurve;
+    }
+    break;
+
+  case TRANSITION_MIX:
+    // the next song starts 'mixSeconds' before the end of this one, which
+    // fades out over its last 'seconds' seconds
+    options.overlapSeconds = this.mixSeconds;
+
+    if (seconds) {
+      if (this.crossfadeIn) {
+        options.fadeInSeconds = seconds;
+      }
+
+      options.fadeOutSeconds = seconds;
+      options.fadeCurve = this.fadeCurve;
+    }
+    break;
+
+  default:
+    if (seconds) {
+      if (this.crossfadeIn) {
+        options.fadeInSeconds = seconds;
+      }
+
+      options.fadeOutSeconds = seconds;
+      options.fadeCurve = this.fadeCurve;
     }
+  }
+};
+
+Player.prototype._onPlayActive = function (play) {
+  // create a new sound object
+  var options = Object.assign(this._soundOptions(play), {
+    play: this._onSoundPlay.bind(this, play.id),
+    pause: this._onSoundPause.bind(this, play.id),
+    finish: this._onSoundFinish.bind(this, play.id),
+    elapse: this._onSoundElapse.bind(this, play.id)
+  });
 
-    options.fadeOutSeconds = this.secondsOfCrossfade;
+  // pick up where we left off, if this play was resumed
+  var resumedAt = 0;
+  if (this._resuming && (this._resuming.play.id === play.id)) {
+    resumedAt = this._resuming.elapsed || 0;
+    options.startPosition = Math.max(options.startPosition || 0, resumedAt);
   }
+  this._resuming = null;
 
   var sound = this.speaker.create(play.audio_file.url, options);
 
@@ -248,7 +507,9 @@ Player.prototype._onPlayActive = function (play) {
     startReportedToServer: false, // whether we got a 'play-started' event from session
     soundCompleted: false,        // whether the sound object told us it finished playback
     playStarted: false,           // whether playback started on the sound object yet
-    previousPosition: 0           // last time we got an 'elapse' callback
+    previousPosition: resumedAt,  // last time we got an 'elapse' callback
+    skipRequested: false,         // whether skip() was called, and the skip not denied
+    outcome: null                 // set when we know how playback ended ahead of time
   };
 
   // if we're not paused, then start it
@@ -276,6 +537,8 @@ Player.prototype._onSoundPlay = function (playId) {
 
   // subsequent plays are considered 'resumed' events
   this.trigger('play-resumed', this.session.getActivePlay());
+
+  this._startAudioFrames();
 };
 
 Player.prototype.getActivePlay = function () {
@@ -316,6 +579,7 @@ Player.prototype._onSoundFinish = function (playId, withError) {
       // eslint-disable-next-line no-console
       console.error('Feed.fm: first call to "initializeAudio()" or "play()" must be made in user-initiated event handler');
       this.stop();
+      this.trigger('error', new PlaybackNotAllowedError(withError));
       return;
     }
   }
@@ -354,12 +618,19 @@ Player.prototype._onSoundElapse = function (playId) {
     position = sound.position(),
     interval = 30 * 1000,  // ping server every 30 seconds
     previousCount = Math.floor(this.state.activePlay.previousPosition / interval),
-    currentCount = Math.floor(position / interval);
+    currentCount = Math.floor(position / interval),
+    previousSecond = Math.floor(this.state.activePlay.previousPosition / 1000);
+
+  this._history.progress(playId, this.state.activePlay.previousPosition, position);
 
   this.state.activePlay.previousPosition = position;
 
   if (currentCount !== previousCount) {
-    this.session.reportPlayElapsed(Math.floor(position / 1000));
+    handled(this.session.reportPlayElapsed(Math.floor(position / 1000)));
+  }
+
+  if (Math.floor(position / 1000) !== previousSecond) {
+    this._saveResumeState();
   }
 };
 
@@ -373,6 +644,10 @@ Player.prototype._onPlayStarted = function (play) {
 
   this.state.activePlay.startReportedToServer = true;
 
+  this._history.start(play);
+
+  this._saveResumeState();
+
   if (this.state.activePlay.soundCompleted) {
     // the audio completed playback before the session announced the play started
     log('sound completed before we finished reporting start', this.state.activePlay);
@@ -395,6 +670,32 @@ Player.prototype._onPlayStarted = function (play) {
   this.updateSimulcast();
 
   this.trigger('play-started', play);
+
+  this._startAudioFrames();
+};
+
+// trigger 'audio-frame' events until music stops playing
+Player.prototype._startAudioFrames = function () {
+  var analyser = this.audioFrames && !this._audioFrameRequest && this.getAnalyserNode();
+
+  if (!analyser) {
+    return;
+  }
+
+  var readFrame = createFrameReader(analyser);
+
+  var frame = () => {
+    if (!this.session || (this.getCurrentState() !== 'playing')) {
+      this._audioFrameRequest = null;
+      return;
+    }
+
+    this.trigger('audio-frame', readFrame());
+
+    this._audioFrameRequest = requestFrame(frame);
+  };
+
+  this._audioFrameRequest = requestFrame(frame);
 };
 
 Player.prototype._onPlayCompleted = function (play) {
@@ -403,12 +704,23 @@ Player.prototype._onPlayCompleted = function (play) {
     return;
   }
 
+  var activePlay = this.state.activePlay;
+
+  this._history.progress(play.id, activePlay.previousPosition, activePlay.sound.position());
+  this._history.finish(play.id, activePlay.outcome ||
+    (activePlay.skipRequested ? 'skipped' :
+      activePlay.soundCompletedWithError ? 'invalidated' :
+        activePlay.soundCompleted ? 'completed' :
+          'stopped'));
+
   this.state.activePlay.sound.destroy();
 
   let started = this.state.activePlay.playStarted;
 
   delete this.state.activePlay;
 
+  this._clearResumeState();
+
   if (started) {
     this.trigger('play-completed', play);
   }
@@ -420,13 +732,18 @@ Player.prototype._onPlayCompleted = function (play) {
 Player.prototype._onPlaysExhausted = function () {
   this.state.paused = false;
 
+  this._clearResumeState();
+
   this.updateSimulcast();
   this.trigger('plays-exhausted');
 };
 
-Player.prototype._onPrepareSound = function (url) {
+Player.prototype._onPrepareSound = function (url, play) {
   log('preparing', url);
-  this.speaker.prepare(url);
+  this.speaker.prepare(url, play ? this._soundOptions(play) : null);
+
+  // the pending play has probably changed
+  this._saveResumeState();
 };
 
 Player.prototype.isPaused = function () {
@@ -441,8 +758,25 @@ Player.prototype.tune = function () {
   log('TUNE');
 
   if (!this.session.isTuned()) {
-    this.session.tune();
+    return this._tuneSession();
+  }
+
+  return Promise.resolve(this.session.getActivePlay());
+};
+
+// tune the session, resuming the play from before a page reload if we can
+Player.prototype._tuneSession = function () {
+  let resumeState = this._resumeState;
+  this._resumeState = null;
+
+  if (resumeState) {
+    log('attempting to resume play', resumeState.play);
+
+    this._resuming = resumeState;
+    return this.session.resume(resumeState);
   }
+
+  return this.session.tune();
 };
 
 Player.prototype.play = function () {
@@ -457,9 +791,16 @@ Player.prototype.play = function () {
     // not currently playing music
     state.paused = false;
 
-    return session.tune();
+    let started = this._nextPlayback();
+
+    this._tuneSession();
+
+    return started;
   }
 
+  let playing = session.hasActivePlayStarted() && !state.paused;
+  let started = playing ? Promise.resolve(session.getActivePlay()) : this._nextPlayback();
+
   if (session.getActivePlay() && state.activePlay && state.paused) {
     // resume playback of song
     if (state.activePlay.playStarted) {
@@ -475,6 +816,21 @@ Player.prototype.play = function () {
   state.paused = false;
 
   this.updateSimulcast();
+
+  return started;
+};
+
+// Return a promise that resolves with the play the next time playback
+// starts or resumes.
+Player.prototype._nextPlayback = function () {
+  return nextEvent(this, {
+    'play-started': (play) => play,
+    'play-resumed': (play) => play
+  }, {
+    'plays-exhausted': () => new PlaysExhaustedError(),
+    'music-unavailable': (message) => new MusicUnavailableError(message),
+    'invalid-credentials': () => new InvalidCredentialsError()
+  });
 };
 
 Player.prototype.pause = function () {
@@ -483,7 +839,7 @@ Player.prototype.pause = function () {
   if (!this.session.hasActivePlayStarted() ||
     !this.state.activePlay ||
     this.state.paused) {
-    return;
+    return Promise.resolve(this.session.getActivePlay());
   }
 
   // pause current song
@@ -493,46 +849,54 @@ Player.prototype.pause = function () {
   this.state.paused = true;
 
   this.updateSimulcast();
+
+  return Promise.resolve(this.session.getActivePlay());
 };
 
 Player.prototype.like = function () {
   log('LIKE');
 
   if (!this.session.hasActivePlayStarted()) {
-    return;
+    return rejected(new Error('no song has been started'));
   }
 
-  this.session.likePlay(this.state.activePlay.id);
+  let liked = this.session.likePlay(this.state.activePlay.id);
 
   this.trigger('play-liked');
+
+  return handled(liked);
 };
 
 Player.prototype.unlike = function () {
   log('UNLIKE');
 
   if (!this.session.hasActivePlayStarted()) {
-    return;
+    return rejected(new Error('no song has been started'));
   }
 
-  this.session.unlikePlay(this.state.activePlay.id);
+  let unliked = this.session.unlikePlay(this.state.activePlay.id);
 
   this.trigger('play-unliked');
+
+  return handled(unliked);
 };
 
 Player.prototype.dislike = function () {
   log('DISLIKE');
 
   if (!this.session.hasActivePlayStarted()) {
-    return;
+    return rejected(new Error('no song has been started'));
   }
 
-  this.session.dislikePlay(this.state.activePlay.id);
+  let disliked = this.session.dislikePlay(this.state.activePlay.id);
 
   this.trigger('play-disliked');
 
   // start playback if we're paused and try to advance to next song
   this.state.paused = false;
-  this.skip();
+  let skipped = this.skip();
+
+  return handled(disliked.then(() => skipped));
 };
 
 Player.prototype.skip = function () {
@@ -540,27 +904,80 @@ Player.prototype.skip = function () {
 
   if (!this.session.hasActivePlayStarted()) {
     // can't skip non-playing song
-    return;
+    return rejected(new Error('no song has been started'));
   }
 
   this.state.paused = false;
 
-  this.session.requestSkip();
+  if (this.state.activePlay) {
+    this.state.activePlay.skipRequested = true;
+  }
+
+  return this.session.requestSkip();
+};
+
+Player.prototype._onSkipDenied = function () {
+  if (this.state.activePlay) {
+    this.state.activePlay.skipRequested = false;
+  }
+};
+
+Player.prototype.seek = function (ms) {
+  log('SEEK', ms);
+
+  var activePlay = this.state.activePlay;
+  var play = this.session.getActivePlay();
+  var station = (play && this._stations && this._stations.filter((s) => s.id === play.station.id)[0]) || this._station;
+
+  if (!station || !station.on_demand) {
+    // DMCA rules only allow moving around within on-demand stations
+    return rejected(new SeekNotAllowedError());
+  }
+
+  if (!this.session.hasActivePlayStarted() || !activePlay || !activePlay.sound) {
+    return rejected(new Error('no song has been started'));
+  }
+
+  // stay within the trimmed part of the song
+  var trim = this._soundOptions(play);
+  var start = trim.startPosition || 0;
+  var end = trim.endPosition || this.getDuration();
+
+  var position = Math.max(start, ms);
+  if (end) {
+    position = Math.min(position, end);
+  }
+
+  position = Math.floor(position);
+
+  activePlay.sound.seek(position);
+  activePlay.previousPosition = position;
+
+  handled(this.session.reportPlayElapsed(Math.floor(position / 1000)));
+
+  this._saveResumeState();
+
+  this.trigger('play-seeked', play, position);
+
+  return Promise.resolve(position);
 };
 
 Player.prototype.stop = function () {
   log('STOP');
 
   this.state.paused = true;
-  
+
+  var stopped = Promise.resolve(null);
   var activePlay = this.state.activePlay;
   if (activePlay && activePlay.sound) {
     log('stopping active play', activePlay);
 
     if (activePlay.startReportedToServer) {
+      activePlay.outcome = 'stopped';
+
       // report where we played to
       var position = activePlay.sound.position();
-      this.session.reportPlayStopped(Math.floor(position / 1000));
+      stopped = this.session.reportPlayStopped(Math.floor(position / 1000));
     }
 
     // stop any playback
@@ -573,17 +990,35 @@ Player.prototype.stop = function () {
 
   delete this.state.activePlay;
 
+  this._clearResumeState();
+
   // flush out any prepared sounds
   this.speaker.flush();
 
   this.trigger('play-stopped');
   
   this.updateSimulcast();
+
+  return handled(stopped);
 };
 
 Player.prototype.destroy = function () {
+  // stop the audio frame loop, since it asks the session for our state
+  if (this._audioFrameRequest) {
+    cancelFrame(this._audioFrameRequest);
+    this._audioFrameRequest = null;
+  }
+
+  // make sure late responses don't trigger any more events
+  if (this.session) {
+    this.session.destroy();
+  }
+
   this.session = null;
 
+  // stop listening to anything we were auto-ducking for
+  this._ducker.destroy();
+
   if (this.state.activePlay && this.state.activePlay.sound) {
     this.state.activePlay.sound.destroy();
   }
@@ -629,6 +1064,10 @@ Player.prototype.maybeCanSkip = function () {
   return !!this.session.maybeCanSkip();
 };
 
+Player.prototype.getSkipStatus = function () {
+  return this.session.getSkipStatus();
+};
+
 var mutedKey = 'muted';
 Player.prototype.isMuted = function () {
   if (supports_html5_storage()) {
@@ -661,6 +1100,116 @@ Player.prototype.setMuted = function (isMuted) {
   }
 };
 
+var resumeKey = 'feed-resume';
+var MAX_RESUME_AGE = 30 * 60 * 1000; // don't resume plays saved more than 30 minutes ago
+
+Player.prototype._loadResumeState = function () {
+  if (!supports_html5_storage() || !(resumeKey in localStorage)) {
+    return null;
+  }
+
+  let resumeState;
+  try {
+    resumeState = JSON.parse(localStorage[resumeKey]);
+  } catch (e) {
+    log('unable to parse saved play', e.message);
+    return null;
+  }
+
+  if (!resumeState || !resumeState.play || ((Date.now() - resumeState.savedAt) > MAX_RESUME_AGE)) {
+    return null;
+  }
+
+  return resumeState;
+};
+
+// remember the active play and our position in it
+Player.prototype._saveResumeState = function () {
+  if (!this.resumeSession || !supports_html5_storage() ||
+    !this.state.activePlay || !this.state.activePlay.startReportedToServer) {
+    return;
+  }
+
+  let resumeState = this.session.getResumeState();
+  if (!resumeState) {
+    return;
+  }
+
+  resumeState.elapsed = this.state.activePlay.sound.position();
+  resumeState.savedAt = Date.now();
+
+  localStorage[resumeKey] = JSON.stringify(resumeState);
+};
+
+Player.prototype._clearResumeState = function () {
+  if (this.resumeSession && supports_html5_storage()) {
+    delete localStorage[resumeKey];
+  }
+};
+
+var stationKey = 'feed-station';
+
+// the field of the station that identifies it between sessions
+Player.prototype._rememberedField = function () {
+  return (typeof this.rememberStation === 'string') ? this.rememberStation : 'name';
+};
+
+Player.prototype._stationValue = function (station) {
+  var field = this._rememberedField();
+
+  return (field === 'name') ? station.name : (station.options || {})[field];
+};
+
+Player.prototype._loadRememberedStation = function () {
+  if (!supports_html5_storage() || !(stationKey in localStorage)) {
+    return null;
+  }
+
+  let remembered;
+  try {
+    remembered = JSON.parse(localStorage[stationKey]);
+  } catch (e) {
+    log('unable to parse saved station', e.message);
+    return null;
+  }
+
+  // ignore stations remembered by a different field
+  if (!remembered || (remembered.field !== this._rememberedField())) {
+    return null;
+  }
+
+  return remembered;
+};
+
+Player.prototype._findRememberedStation = function (stations) {
+  var remembered = this._rememberedStation;
+
+  if (!remembered) {
+    return null;
+  }
+
+  return stations.find((station) => {
+    var value = this._stationValue(station);
+
+    return (typeof value !== 'undefined') && (('' + value) === ('' + remembered.value));
+  }) || null;
+};
+
+Player.prototype._saveRememberedStation = function (station) {
+  if (!this.rememberStation || this._awaitingStations || !supports_html5_storage()) {
+    return;
+  }
+
+  let value = this._stationValue(station);
+  if (typeof value === 'undefined') {
+    return;
+  }
+
+  this._rememberedStation = { field: this._rememberedField(), value: value };
+
+  localStorage[stationKey] = JSON.stringify(this._rememberedStation);
+};
+
 Player.prototype.getVolume = function() {
   return this.speaker.getVolume();
 };
@@ -669,10 +1218,73 @@ Player.prototype.setVolume = function(vol) {
   this.speaker.setVolume(vol);
 };
 
+Player.prototype.setEffects = function (effects) {
+  if (!this.speaker.setEffects) {
+    log('speaker does not support audio effects');
+    return;
+  }
+
+  this.speaker.setEffects(effects);
+};
+
+Player.prototype.duck = function (level, options) {
+  this._ducker.duck(level, options);
+};
+
+Player.prototype.unduck = function (options) {
+  this._ducker.unduck(options);
+};
+
+Player.prototype.duckWhile = function (promise, level, options) {
+  return this._ducker.duckWhile(promise, level, options);
+};
+
+Player.prototype.autoDuck = function (source, level, options) {
+  this._ducker.autoDuck(source, level, options);
+};
+
+Player.prototype.removeAutoDuck = function (source) {
+  this._ducker.removeAutoDuck(source);
+};
+
+Player.prototype.getHistory = function () {
+  return this._history.getHistory();
+};
+
+Player.prototype.getStats = function () {
+  var stats = this._history.getStats();
+
+  stats.skipsRemaining = this.session.getSkipStatus().remaining;
+
+  return stats;
+};
+
+Player.prototype.getAnalyserNode = function () {
+  return this.speaker.getAnalyserNode ? this.speaker.getAnalyserNode() : null;
+};
+
 Player.prototype.getStations = function() {
   return this._stationsPromise;
 };
 
+Player.prototype.findStations = function (query) {
+  return this._stationsPromise.then((stations) => findStations(stations, query));
+};
+
+Player.prototype.findStation = function (query) {
+  return this.findStations(query).then((stations) => stations[0] || null);
+};
+
+Player.prototype.setStation = function (query) {
+  return this.findStation(query).then((station) => {
+    if (!station) {
+      throw new Error('no station matches ' + ((typeof query === 'function') ? 'the given function' : JSON.stringify(query)));
+    }
+
+    return this.setStationId(station.id);
+  });
+};
+
 Player.prototype.updateSimulcast = function() {
   if (!this.state.simulcast) {
     return;
@@ -684,8 +1296,8 @@ Player.prototype.updateSimulcast = function() {
     state = 'idle';
   }
 
-  getClientId().then((clientId) => {
-    this.session._signedAjax(getBaseUrl() + `/api/v2/simulcast/${this.state.simulcast}/in-progress`, {
+  handled(getClientId(this.session.transport).then((clientId) => {
+    return this.session._signedAjax(getBaseUrl() + `/api/v2/simulcast/${this.state.simulcast}/in-progress`, {
       method: 'POST',
       body: JSON.stringify({
         state: state,
@@ -694,8 +1306,8 @@ Player.prototype.updateSimulcast = function() {
       headers: {
         'Content-Type': 'application/json'
       },
-    });
-  });
+    }, 'simulcast');
+  }));
 };
 
 export default Player;
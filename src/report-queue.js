@@ -0,0 +1,262 @@
+import log from './log';
+
+/**
+ * This class holds play reports (elapsed time, completions, likes and
+ * dislikes) that couldn't be delivered to the server because the network
+ * was unavailable. Reports are saved to localStorage (or to memory, when
+ * localStorage isn't available) so they survive page reloads, and are
+ * replayed in the order they were made once we're back online.
+ *
+ * A report looks like:
+ *
+ *   {
+ *     playId:    id of the play the report is for
+ *     type:      'elapse', 'complete', 'like', 'unlike' or 'dislike'
+ *     url:       url to send the report to
+ *     method:    HTTP method
+ *     body:      optional object to send as JSON
+ *     timestamp: time (in milliseconds since the epoch) the report was made
+ *   }
+ *
+ * Only the most recent report of the same kind is kept for each play, so
+ * a later 'elapse' replaces an earlier one, and a 'dislike' replaces an
+ * earlier 'like'.
+ *
+ * The 'send' function passed to the constructor is given a report and
+ * should return a promise that rejects only if the report couldn't be
+ * delivered and should be retried. The 'getToken' function returns the
+ * token the reports are signed with. Each report is stored with the
+ * token it was made under, and a queue only sends reports made under its
+ * own token.
+ *
+ * Queues in other tabs share the stored reports, so a queue claims a
+ * report while sending it, and queues in other tabs leave it alone until
+ * the claim succeeds, fails or goes stale. A queue in the same page waits
+ * for the send to finish instead. When sending fails, the queue
+ * tries again later, backing off up to MAX_RETRY_MS.
+ */
+
+const STORAGE_KEY = 'feed-report-queue';
+
+// how long another queue's claim on a report is honoured
+const CLAIM_MS = 30 * 1000;
+
+const MIN_RETRY_MS = 5 * 1000;
+const MAX_RETRY_MS = 5 * 60 * 1000;
+
+// reports in the same group, for the same play, replace each other
+const GROUPS = {
+  elapse: 'elapse',
+  complete: 'complete',
+  like: 'like',
+  unlike: 'like',
+  dislike: 'like'
+};
+
+let memoryReports = [];
+
+// identifies this page to queues in other tabs
+const owner = Math.random().toString(36).slice(2);
+
+// reports being sent from this page, by id
+const sending = {};
+
+function supportsLocalStorage() {
+  try {
+    return (typeof localStorage !== 'undefined') && (localStorage !== null);
+  } catch (e) {
+    return false;
+  }
+}
+
+function loadReports() {
+  if (supportsLocalStorage()) {
+    try {
+      return JSON.parse(localStorage[STORAGE_KEY] || '[]');
+    } catch (e) {
+      log('unable to parse stored reports', e.message);
+      return [];
+    }
+  }
+
+  return memoryReports.slice();
+}
+
+function saveReports(reports) {
+  if (supportsLocalStorage()) {
+    try {
+      localStorage[STORAGE_KEY] = JSON.stringify(reports);
+      return;
+    } catch (e) {
+      log('unable to store reports, so holding them in memory', e.message);
+    }
+  }
+
+  memoryReports = reports.slice();
+}
+
+function groupOf(report) {
+  return report.playId + ':' + GROUPS[report.type];
+}
+
+function claimedElsewhere(report) {
+  return report.claim && (report.claim.owner !== owner) && (report.claim.at + CLAIM_MS > Date.now());
+}
+
+// update the stored copy of 'report', if it is still queued
+function updateReport(report, changes) {
+  saveReports(loadReports().map((queued) => (queued.id === report.id) ? Object.assign({}, queued, changes) : queued));
+}
+
+class ReportQueue {
+
+  constructor(send, getToken) {
+    this._send = send;
+    this._getToken = getToken;
+    this._flushing = null;
+    this._retryTimer = null;
+    this._retryMs = 0;
+    this._destroyed = false;
+    this._online = (typeof navigator === 'undefined') || (navigator.onLine !== false);
+
+    if ((typeof window !== 'undefined') && window.addEventListener) {
+      this._onOnline = () => {
+        log('back online');
+        this._online = true;
+        this.flush();
+      };
+
+      this._onOffline = () => {
+        log('went offline');
+        this._online = false;
+      };
+
+      window.addEventListener('online', this._onOnline);
+      window.addEventListener('offline', this._onOffline);
+    }
+  }
+
+  // true if a new report can be sent straight to the server without
+  // jumping ahead of any queued reports
+  canSend() {
+    return this._online && (this._reports().length === 0);
+  }
+
+  // the queued reports made under our token, oldest first
+  _reports() {
+    const token = this._getToken();
+
+    return loadReports().filter((report) => report.token === token);
+  }
+
+  push(report) {
+    report = Object.assign({}, report);
+    report.token = this._getToken();
+    report.id = report.timestamp + '-' + Math.random().toString(36).slice(2);
+
+    const group = groupOf(report);
+    const reports = loadReports().filter((queued) => (queued.token !== report.token) || (groupOf(queued) !== group));
+
+    reports.push(report);
+    saveReports(reports);
+
+    log('queued report', report);
+  }
+
+  // send queued reports, in order, until the queue is empty or the network fails
+  flush() {
+    if (this._flushing) {
+      return this._flushing;
+    }
+
+    if (!this._online) {
+      return Promise.resolve();
+    }
+
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+
+    const next = () => {
+      const report = this._reports()[0];
+
+      if (!report) {
+        this._retryMs = 0;
+        return;
+      }
+
+      if (sending[report.id]) {
+        // another queue in this page is sending it, so see how that goes
+        return sending[report.id].then(next, next);
+      }
+
+      if (claimedElsewhere(report)) {
+        // another tab is sending our reports, so check back later
+        throw new Error('queued reports are being sent from another tab');
+      }
+
+      updateReport(report, { claim: { owner: owner, at: Date.now() } });
+
+      sending[report.id] = this._send(report)
+        .then(() => {
+          saveReports(loadReports().filter((queued) => queued.id !== report.id));
+
+        }, (error) => {
+          updateReport(report, { claim: null });
+
+          throw error;
+        })
+        .then(() => {
+          delete sending[report.id];
+
+        }, (error) => {
+          delete sending[report.id];
+
+          throw error;
+        });
+
+      return sending[report.id].then(next);
+    };
+
+    this._flushing = Promise.resolve()
+      .then(next)
+      .catch((error) => {
+        log('unable to flush queued reports', error);
+
+        this._retryLater();
+      })
+      .then(() => {
+        this._flushing = null;
+      });
+
+    return this._flushing;
+  }
+
+  _retryLater() {
+    if (this._destroyed) {
+      return;
+    }
+
+    this._retryMs = Math.min(this._retryMs ? this._retryMs * 2 : MIN_RETRY_MS, MAX_RETRY_MS);
+
+    log('trying queued reports again in ' + this._retryMs + 'ms');
+
+    this._retryTimer = setTimeout(() => {
+      this._retryTimer = null;
+      this.flush();
+    }, this._retryMs);
+  }
+
+  destroy() {
+    this._destroyed = true;
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+
+    if (this._onOnline) {
+      window.removeEventListener('online', this._onOnline);
+      window.removeEventListener('offline', this._onOffline);
+    }
+  }
+
+}
+
+export default ReportQueue;
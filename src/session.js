@@ -37,6 +37,8 @@
  *    tuned in to.
  *  stations: after tuning to a specific placement, the server returns a
  *    list of available stations. This is that list.
+ *  placement-unavailable: the placement passed to setPlacementId() doesn't
+ *    exist, or the token and secret may not be used with it
  *  station-changed: emitted after a 'setStation' call, and passed the
  *    ID of the station and the station object
  *  play-active: when the session has a play ready for playback
@@ -47,13 +49,25 @@
  *    call to reportPlayCompleted), or been invalidated
  *  skip-denied: when the session has been told by the server that the
  *    skip cannot be performed (after a call to requestSkip)
+ *  skip-status-changed: whether the current song can be skipped, the number
+ *    of skips left this hour, or when more skips become available has
+ *    changed. This is passed the value returned by getSkipStatus().
  *  plays-exhausted: when the server can find no more music in the
  *    current station that satisfies DMCA constraints (this will
  *    be either the first event after a 'tune' call, or after a
  *    play-completed event). The client must make another call to
  *    tune() to begin pulling in more music.
  *  prepare-sound: this holds a URL of a sound that might be played
- *    next. Clients can start loading the sound in preparation.
+ *    next, followed by the play it belongs to. Clients can start
+ *    loading the sound in preparation. Only the next play is prepared,
+ *    however many are queued up.
+ *  error: passed a FeedError (see errors.js) whenever something goes
+ *    wrong. This is triggered after any of the 'music-unavailable',
+ *    'invalid-credentials', 'skip-denied' and 'plays-exhausted' events
+ *    above, and when requests to the server fail.
+ *  queue-changed: the active play, whether it has started, the upcoming
+ *    play, or whether we're waiting on the server for a play has changed.
+ *    This is passed the value returned by getQueueState().
  *
  *  Clients that use the session object should tell the session about
  *  the status of the current play as it progresses:
@@ -75,28 +89,107 @@
  *    of the song (if started) and give us a new song. The session will
  *    trigger a 'play-completed' event after this call.
  *
+ *  The above calls, along with tune(), setStationId() and the like/dislike
+ *  calls below, return a Promise with the outcome of the request, so
+ *  clients don't need to wait on events:
+ *
+ *  session.tune(): resolves with the first active play, or rejects with an
+ *    InvalidCredentialsError, MusicUnavailableError or PlaysExhaustedError.
+ *  session.setStationId(): resolves with the new active play if we retuned,
+ *    otherwise the current active play (or null).
+ *  session.setPlacementId(): resolves like setStationId(), or rejects with a
+ *    PlacementUnavailableError or InvalidCredentialsError.
+ *  session.reportPlayStarted(): resolves with the play once the server
+ *    acknowledges the start.
+ *  session.reportPlayCompleted(), session.requestInvalidate(): resolve with the
+ *    next active play, or null if there is no more music.
+ *  session.requestSkip(): resolves with the next active play (or null if there
+ *    is no more music), or rejects with a SkipDeniedError.
+ *  session.reportPlayElapsed(), session.reportPlayStopped(), session.likePlay(),
+ *    session.unlikePlay(), session.dislikePlay(): resolve with the server response.
+ *
+ *  The events are still triggered as described above, whether or not the
+ *  returned Promises are used.
+ *
+ *  A play can be carried over to a new Session (after a page reload, for
+ *  instance) with:
+ *
+ *  session.getResumeState(): returns an object describing the active play,
+ *    station and pending play, which can be serialized with JSON.
+ *  session.resume(state): acts like tune(), but makes the play in 'state'
+ *    active again instead of requesting a new one. Nothing is sent to the
+ *    server until reportPlayStarted() is called. If the server then says the
+ *    play already started, it carries on without being reported as started
+ *    a second time. If the server refuses the play, a new play is requested,
+ *    as tune() would. If the station in 'state' is no longer available,
+ *    resume() just acts like tune().
+ *
  *  Data held by the session can be retrieved with:
  *
  *  session.getActivePlay(): returns the currently active play, if any, or null
+ *  session.getUpcomingPlay(): returns the play that will become active when the
+ *    current play completes, if the server has given us one, or null
+ *  session.getUpcomingPlays(): returns all the plays we've got queued up after
+ *    the current play, in the order they'll be played
+ *  session.getQueueState(): returns an object with the following attributes:
+ *      current: the active play or null
+ *      started: true if the active play has started playback
+ *      upcoming: the value returned by getUpcomingPlay()
+ *      upcomingPlays: the value returned by getUpcomingPlays()
+ *      waiting: true if we're waiting for the server to give us a play
  *  session.isTuned(): true if the session has active plays available or is awaiting
  *    plays from the server
  *  session.hasActivePlayStarted(): returns true if the active play is playing now
  *  session.maybeCanSkip(): returns true if there is a song being played now and 
  *    we believe we can skip it (this might not hold true, and the server can
  *    override this)
+ *  session.getSkipStatus(): returns { canSkip, remaining, resetsAt }, describing
+ *    whether the server says the current song can be skipped, and an estimate
+ *    of how many skips are left under the DMCA rules (see skip-budget.js)
  *
  *  Other misc calls:
  *  
  *  session.likePlay(), session.unlikePlay(), session.dislikePlay(): like handling
+ *  session.setPlacementId(placementId): switch to a different placement. The
+ *    placement and its stations are retrieved, and announced with 'placement',
+ *    'station-changed' and 'stations' events. If we're tuned, we retune to the
+ *    new placement. If the placement can't be used, nothing changes, and a
+ *    'placement-unavailable' event is triggered.
  *  session.setFormats(formats): comma separated list of audio formats to 
  *                               request, i.e.: 'mp3', 'aac', 'aac,mp3'. Defaults to
  *                               'mp3,aac'
  *
  *  The optional 'options' argument passed to the constructor can have the following
  *  attributes:
+ *    lookahead: the number of upcoming plays the session tries to keep
+ *       queued up after the current play has started (default 1). The server
+ *       may refuse to create more than one (with a 429 response), in which case
+ *       we stop asking for more than we have for the rest of the session.
  *    baseUrl: defines the base host that responds to API calls - defaults
  *       to '//feed.fm'. Really only used with local testing.
  *    simulcast: id of simulcast to broad
+ *    transport: function with the signature of window.fetch that is used
+ *       to make all requests from this session (see transport.js)
+ *    timeouts: map of endpoint name to the number of milliseconds we wait
+ *       for a response before treating the request as failed. Endpoint
+ *       names are 'placement', 'play', 'start', 'elapse', 'complete', 'skip',
+ *       'invalidate', 'like', 'dislike', 'event' and 'simulcast'. Any endpoint
+ *       not listed uses the 'default' value (10 seconds). A value of 0
+ *       disables the timeout.
+ *    skipsPerHour: the number of skips we assume the listener is allowed each
+ *       hour, when the server doesn't tell us (default 6)
+ *
+ *  Calls to tune(), reportPlayStopped() and destroy() abort any outstanding
+ *  placement, play, start, skip or invalidate requests, so their responses
+ *  can't affect the new state of the session. Placement requests made by
+ *  setPlacementId() are the exception, so a placement switch isn't lost.
+ *  Reports to the server (elapse, complete, like and dislike) are never
+ *  aborted.
+ *
+ *  Reports that can't be delivered because the network is down are held
+ *  in a queue (see report-queue.js) and sent, with their original timestamps,
+ *  when connectivity returns. Pass 'queueReports: false' as an option to
+ *  disable this.
  */
 
 import log from './log';
@@ -105,6 +198,60 @@ import { getCookie, setCookie, removeCookie } from 'tiny-cookie';
 import { version as FEED_VERSION } from '../package.json';
 import { getBaseUrl, setBaseUrl } from './base-url';
 import { getClientId } from './client-id';
+import { getTransport, checkResponse } from './transport';
+import ReportQueue from './report-queue';
+import SkipBudget from './skip-budget';
+import { nextEvent, handled, rejected } from './util';
+import {
+  ServerErrorCode,
+  InvalidCredentialsError,
+  MusicUnavailableError,
+  PlaysExhaustedError,
+  SkipDeniedError,
+  PlacementUnavailableError,
+  NetworkError,
+  ServerError,
+  isServerError
+} from './errors';
+
+const DEFAULT_TIMEOUTS = {
+  default: 10000
+};
+
+// requests whose responses change the state of the session, and so
+// are aborted when the session is re-tuned, stopped or destroyed
+const CANCELABLE_ENDPOINTS = [ 'placement', 'play', 'start', 'skip', 'invalidate' ];
+
+// codes the server sends with a 403 that mean something other than
+// 'this placement is not available to you'
+const NON_PLACEMENT_CODES = [
+  ServerErrorCode.INVALID_CREDENTIALS,
+  ServerErrorCode.PLAYS_EXHAUSTED,
+  ServerErrorCode.MUSIC_UNAVAILABLE,
+  ServerErrorCode.PLAY_ALREADY_STARTED
+];
+
+// the server answers with a 429 when asked to queue up more plays than it allows
+function isQueueFull(error) {
+  return (error instanceof ServerError) && (error.status === 429);
+}
+
+function isAborted(error) {
+  return (error instanceof NetworkError) && (error.reason === 'aborted');
+}
+
+// the server says the placement we asked for doesn't exist, or isn't ours
+function isPlacementUnavailable(error) {
+  return (error instanceof ServerError) &&
+    ((error.status === 404) || ((error.status === 403) && (NON_PLACEMENT_CODES.indexOf(error.serverCode) === -1)));
+}
+
+// invalid credentials usually get a 401, but may come with a 403
+function isInvalidCredentials(error) {
+  return (error instanceof ServerError) &&
+    ((error.status === 401) || (error.status === 403)) &&
+    (error.serverCode === ServerErrorCode.INVALID_CREDENTIALS);
+}
 
 var Session = function (token, secret, options) {
   options = options || {};
@@ -113,6 +260,20 @@ var Session = function (token, secret, options) {
     setBaseUrl(options.baseUrl);
   }
 
+  // when not set, use the global transport
+  this.transport = options.transport || null;
+
+  // requests we're awaiting a response for
+  this._outstandingRequests = [];
+
+  // reports that failed to reach the server
+  this._reportQueue = (options.queueReports === false) ? null :
+    new ReportQueue((report) => this._replayReport(report), () => this.config.token);
+
+  // skips left under the DMCA rules
+  this._skipBudget = new SkipBudget(options.skipsPerHour);
+  this._skipStatusTimeout = null;
+
   this.config = {
     // token
     // secret
@@ -125,6 +286,8 @@ var Session = function (token, secret, options) {
     formats: 'mp3,aac',
     maxBitrate: 128,
     timeOffset: 0,
+    timeouts: Object.assign({}, DEFAULT_TIMEOUTS, options.timeouts),
+    lookahead: Math.max(1, options.lookahead || 1),
 
     // Represent the active 'play' or null if there is no active play. This should
     // only be null before the first tune() call or after the server tells us there
@@ -146,10 +309,9 @@ var Session = function (token, secret, options) {
                              }, */
 
     // Once a play has been created and then started, the server will let us
-    // create a new play. This holds a reference to the next play that will
-    // be active on completion of the current play
-    pendingPlay: null // play object we'll start upon completion of current
-    //   sound 
+    // create new plays. This holds up to 'lookahead' plays, in the order they
+    // will become active as the current play completes
+    pendingPlays: []
   };
 
   Object.assign(this, Events);
@@ -162,27 +324,36 @@ var Session = function (token, secret, options) {
 Session.prototype.setCredentials = function (token, secret) {
   this.config.token = token;
   this.config.secret = secret;
+
+  // now that we can sign requests, send anything left over from earlier
+  if (this._reportQueue) {
+    this._reportQueue.flush();
+  }
 };
 
 Session.prototype.setStationId = function (stationId) {
   // if we haven't received stations, we can't select one
   if (!this.config.stations) {
-    return;
+    return rejected(new Error('no stations have been retrieved yet'));
   }
 
   let stringStationId = '' + stationId;
   if (('' + this.config.stationId) !== stringStationId) {
     let station = this.config.stations.find((station) => ('' + station.id) === stringStationId);
 
-    if (station) {
-      this.config.stationId = stationId;
-      this.config.station = station;
+    if (!station) {
+      return rejected(new Error('no station with id ' + stationId));
+    }
 
-      this.trigger('station-changed', stationId, station);
+    this.config.stationId = stationId;
+    this.config.station = station;
 
-      this._retune();
-    }
+    this.trigger('station-changed', stationId, station);
+
+    return this._retune();
   }
+
+  return Promise.resolve(this.getActivePlay());
 };
 
 Session.prototype.setFormats = function (formats) {
@@ -197,6 +368,20 @@ Session.prototype.setMaxBitrate = function (maxBitrate) {
 
 // tune
 Session.prototype.tune = function () {
+  return this._tune(null);
+};
+
+// resume the play described by 'state' (from getResumeState()), or tune
+// in as usual if its station is gone
+Session.prototype.resume = function (state) {
+  if (!state || !state.play) {
+    return this.tune();
+  }
+
+  return this._tune(state);
+};
+
+Session.prototype._tune = function (resumeState) {
   if (!this.config.token) {
     throw new Error('no token set with setCredentials()');
   }
@@ -205,9 +390,18 @@ Session.prototype.tune = function () {
     throw new Error('no secret set with setCredentials()');
   }
 
+  let activated = this._nextActivePlay({
+    'invalid-credentials': () => new InvalidCredentialsError(),
+    'music-unavailable': (message) => new MusicUnavailableError(message),
+    'plays-exhausted': () => new PlaysExhaustedError(),
+    'placement-unavailable': () => new PlacementUnavailableError()
+  });
+
   // abort any pending requests or plays
+  this._abortRequests();
   this.config.pendingRequest = null;
-  this.config.pendingPlay = null;
+  this.config.pendingPlays = [];
+  this.config.resumeState = resumeState;
 
   // stop playback of any current song, and set
   // the status to waiting
@@ -216,6 +410,18 @@ Session.prototype.tune = function () {
   // pull information in about the placement, followed by
   // a request for the next play
   this._getDefaultPlacementInformation();
+
+  return activated;
+};
+
+// Return a promise that resolves with the next play to become active. The
+// promise resolves with null if the server runs out of music, unless
+// 'rejecters' maps 'plays-exhausted' (or any other event) to an error.
+Session.prototype._nextActivePlay = function (rejecters) {
+  return nextEvent(this, {
+    'play-active': (play) => play,
+    'plays-exhausted': () => null
+  }, rejecters);
 };
 
 // _getDefaultPlacementInformation
@@ -224,57 +430,213 @@ Session.prototype._getDefaultPlacementInformation = function (delay) {
 
   if (this.config.placementId && this.config.placement && (this.config.placement.id === this.config.placementId)) {
     // already have placement info, so kick off request for next play
-    this._requestNextPlay();
+    this._startTuning();
+    return;
+  }
+
+  if (this._fetchedPlacement && (('' + this._fetchedPlacement.placement.id) === ('' + this.config.placementId))) {
+    // setPlacementId() just retrieved this placement
+    let placementInformation = this._fetchedPlacement;
+    this._fetchedPlacement = null;
+
+    this._receiveDefaultPlacementInformation(placementInformation);
     return;
   }
 
-  getClientId().then((clientId) => {
+  getClientId(this.transport).then((clientId) => {
     // request placement info from server
-    log('requesting default placement information from server');
-    self._signedAjax(getBaseUrl() + '/api/v2/placement?client_id=' + clientId)
+    log('requesting placement information from server');
+    self._signedAjax(getBaseUrl() + self._placementPath(self.config.placementId) + '?client_id=' + clientId, null, 'placement')
       .then((response) => response.json())
       .then(self._receiveDefaultPlacementInformation.bind(self))
       .catch(self._failedDefaultPlacementInformation.bind(self, delay));
   });
 };
 
+// the default placement for our credentials, unless 'placementId' is given
+Session.prototype._placementPath = function (placementId) {
+  return '/api/v2/placement' + (placementId ? '/' + encodeURIComponent(placementId) : '');
+};
+
 Session.prototype._receiveDefaultPlacementInformation = function (placementInformation) {
   if (placementInformation && placementInformation.success && placementInformation.placement) {
-    this.config.placement = placementInformation.placement;
-    this.config.stations = placementInformation.stations;
+    this._receivePlacementInformation(placementInformation);
+
+    // kick off request for next play
+    this._startTuning();
+  }
+};
+
+// remember and announce the placement and its stations, and select
+// the default station
+Session.prototype._receivePlacementInformation = function (placementInformation) {
+  this.config.placement = placementInformation.placement;
+  this.config.stations = placementInformation.stations;
+
+  this.config.placementId = placementInformation.placement.id;
+  this.trigger('placement', this.config.placement);
 
+  if (this.config.stations.length > 0) {
+    this.config.stationId = this.config.stations[0].id;
+    this.config.station = this.config.stations[0];
+    this.trigger('station-changed', this.config.stationId, this.config.station);
+  }
+
+  this.trigger('stations', this.config.stations);
+};
+
+Session.prototype.setPlacementId = function (placementId) {
+  if (this.config.placement && (('' + this.config.placement.id) === ('' + placementId))) {
+    return Promise.resolve(this.getActivePlay());
+  }
+
+  this._requestedPlacementId = placementId;
+
+  // make sure we can use the placement before we stop any music
+  log('requesting placement information for ' + placementId);
+  return getClientId(this.transport)
+    // not aborted when we re-tune or stop, so the switch isn't lost
+    .then((clientId) => this._signedAjax(getBaseUrl() + this._placementPath(placementId) + '?client_id=' + clientId, null, 'placement', false))
+    .then((response) => response.json())
+    .then(this._receiveSetPlacement.bind(this, placementId), this._failSetPlacement.bind(this, placementId));
+};
+
+Session.prototype._receiveSetPlacement = function (placementId, placementInformation) {
+  if (this._requestedPlacementId !== placementId) {
+    log('received placement information, but another placement was requested since');
+    return this.getActivePlay();
+  }
+
+  if (!placementInformation.success || !placementInformation.placement) {
+    let error = new PlacementUnavailableError();
+    this._triggerError(error);
+    throw error;
+  }
+
+  if (this.isTuned()) {
+    // retune, which announces the placement before requesting music from it
     this.config.placementId = placementInformation.placement.id;
-    this.trigger('placement', this.config.placement);
+    this._fetchedPlacement = placementInformation;
 
-    if (this.config.stations.length > 0) {
-      this.config.stationId = this.config.stations[0].id;
-      this.config.station = this.config.stations[0];
-      this.trigger('station-changed', this.config.stationId, this.config.station);
-    }
+    return this.tune();
+  }
 
-    this.trigger('stations', this.config.stations);
+  this._receivePlacementInformation(placementInformation);
 
-    // kick off request for next play
+  return this.getActivePlay();
+};
+
+Session.prototype._failSetPlacement = function (placementId, response) {
+  if (isAborted(response)) {
+    log('placement request aborted');
+    throw response;
+  }
+
+  this._triggerNetworkError(response);
+
+  let error = this._placementError(response);
+
+  if (error) {
+    this._triggerError(error);
+    throw error;
+  }
+
+  throw response;
+};
+
+// the error a failed placement request stands for, if it isn't worth retrying
+Session.prototype._placementError = function (response) {
+  if (isInvalidCredentials(response)) {
+    return new InvalidCredentialsError();
+  }
+
+  if (isServerError(response, 403, ServerErrorCode.MUSIC_UNAVAILABLE)) {
+    return new MusicUnavailableError(response.message);
+  }
+
+  if (isPlacementUnavailable(response)) {
+    return new PlacementUnavailableError();
+  }
+
+  return null;
+};
+
+// now that we have placement information, either resume an earlier
+// play or request a new one
+Session.prototype._startTuning = function () {
+  if (this.config.resumeState) {
+    this._resumePlay(this.config.resumeState);
+
+  } else {
     this._requestNextPlay();
   }
 };
 
+Session.prototype.getResumeState = function () {
+  if (!this.config.current) {
+    return null;
+  }
+
+  return {
+    play: this.config.current.play,
+    canSkip: this.config.current.canSkip,
+    station: this.config.station,
+    pendingPlays: this.config.pendingPlays.slice()
+  };
+};
+
+Session.prototype._resumePlay = function (state) {
+  // the station must still be available to us
+  let station = state.station && this.config.stations.find((station) =>
+    (('' + station.id) === ('' + state.station.id)) || (station.name === state.station.name));
+
+  if (!station) {
+    log('station for resumed play is not available, so requesting new play');
+    this.config.resumeState = null;
+    this._requestNextPlay();
+    return;
+  }
+
+  if (station !== this.config.station) {
+    this.config.stationId = station.id;
+    this.config.station = station;
+    this.trigger('station-changed', station.id, station);
+  }
+
+  // we find out if the play is still valid when we start it, so nothing
+  // is reported to the server before any audio plays
+  log('resuming play', state.play);
+
+  this.config.resumeState = null;
+  this.config.pendingPlays = (state.pendingPlays || []).slice(0, this.config.lookahead);
+
+  this._assignCurrentPlay(state.play);
+
+  this.config.current.canSkip = !!state.canSkip;
+  this.config.current.resumed = true;
+
+  this._prepareUpcomingPlay();
+};
+
 Session.prototype._failedDefaultPlacementInformation = function (delay, response) {
-  if (response.status === 401) {
-    try {
-      var fullResponse = JSON.parse(response.responseText);
-      if (fullResponse.error && fullResponse.error.code === 5) {
-        this.trigger('invalid-credentials');
-        return;
-      }
-    } catch (e) {
-      // ignore
-    }
-  } else {
-    // eslint-disable-next-line no-console
-    console.warn('error from placement request', response);
+  if (isAborted(response)) {
+    log('placement request aborted');
+    return;
   }
 
+  this._triggerNetworkError(response);
+
+  let error = this._placementError(response);
+
+  // only a placement we asked for by id can be unavailable
+  if (error && (this.config.placementId || !(error instanceof PlacementUnavailableError))) {
+    this._triggerError(error);
+    return;
+  }
+
+  // eslint-disable-next-line no-console
+  console.warn('error from placement request', response);
+
   // otherwise, try again in a bit
   delay = delay ? (delay * 2) : 500;
   setTimeout(() => {
@@ -298,6 +660,71 @@ Session.prototype.getActivePlay = function () {
   }
 };
 
+Session.prototype.getUpcomingPlay = function () {
+  return this.config.pendingPlays[0] || null;
+};
+
+Session.prototype.getUpcomingPlays = function () {
+  return this.config.pendingPlays.slice();
+};
+
+Session.prototype.getQueueState = function () {
+  return {
+    current: this.getActivePlay(),
+    started: !!(this.config.current && this.config.current.started),
+    upcoming: this.getUpcomingPlay(),
+    upcomingPlays: this.getUpcomingPlays(),
+    waiting: !!this.config.pendingRequest
+  };
+};
+
+// trigger a 'queue-changed' event if the queue is different from
+// when we last announced it
+Session.prototype._queueChanged = function () {
+  var state = this.getQueueState();
+  var last = this._lastQueueState;
+
+  // whether we can skip depends on the current play
+  this._skipStatusChanged();
+
+  if (last && (last.current === state.current) && (last.started === state.started) &&
+    (last.waiting === state.waiting) &&
+    (last.upcomingPlays.length === state.upcomingPlays.length) &&
+    last.upcomingPlays.every((play, index) => play === state.upcomingPlays[index])) {
+    return;
+  }
+
+  this._lastQueueState = state;
+  this.trigger('queue-changed', state);
+};
+
+Session.prototype.getSkipStatus = function () {
+  return this._skipBudget.getStatus(this.maybeCanSkip());
+};
+
+// trigger a 'skip-status-changed' event if the skip status is different
+// from when we last announced it, and check again when more skips
+// become available
+Session.prototype._skipStatusChanged = function () {
+  var status = this.getSkipStatus();
+  var last = this._lastSkipStatus;
+
+  clearTimeout(this._skipStatusTimeout);
+  this._skipStatusTimeout = null;
+
+  if (status.resetsAt) {
+    this._skipStatusTimeout = setTimeout(() => this._skipStatusChanged(), Math.max(0, status.resetsAt - Date.now()) + 1);
+  }
+
+  if (last && (last.canSkip === status.canSkip) && (last.remaining === status.remaining) &&
+    (last.resetsAt === status.resetsAt)) {
+    return;
+  }
+
+  this._lastSkipStatus = status;
+  this.trigger('skip-status-changed', status);
+};
+
 Session.prototype.isTuned = function () {
   return this.config.current || this.config.pendingRequest;
 };
@@ -310,10 +737,10 @@ Session.prototype.hasActivePlayStarted = function () {
 Session.prototype._retune = function () {
   // if we're not actively playing anything, nothing needs to be sent
   if (!this.isTuned()) {
-    return;
+    return Promise.resolve(null);
   }
 
-  this.tune();
+  return this.tune();
 };
 
 Session.prototype.reportPlayStarted = function () {
@@ -321,7 +748,14 @@ Session.prototype.reportPlayStarted = function () {
     throw new Error('attempt to report a play started, but there is no active play');
   }
 
-  this._startPlay(this.config.current.play);
+  let play = this.config.current.play;
+  let started = nextEvent(this, {
+    'play-started': (startedPlay) => startedPlay
+  });
+
+  this._startPlay(play);
+
+  return started;
 };
 
 Session.prototype.reportPlayElapsed = function (seconds) {
@@ -329,12 +763,12 @@ Session.prototype.reportPlayElapsed = function (seconds) {
     throw new Error('attempt to report elapsed play time, but the play hasn\'t started');
   }
 
-  this._signedAjax(getBaseUrl() + '/api/v2/play/' + this.config.current.play.id + '/elapse', {
+  return this._sendReport({
+    playId: this.config.current.play.id,
+    type: 'elapse',
     method: 'POST',
-    body: JSON.stringify({ seconds: seconds }),
-    headers: {
-      'Content-Type': 'application/json'
-    }
+    url: getBaseUrl() + '/api/v2/play/' + this.config.current.play.id + '/elapse',
+    body: { seconds: seconds }
   });
 };
 
@@ -342,9 +776,16 @@ Session.prototype.reportPlayCompleted = function () {
   var self = this;
 
   if (this.config.current && (this.config.current.started)) {
-    this._signedAjax(getBaseUrl() + '/api/v2/play/' + this.config.current.play.id + '/complete', {
-      method: 'POST'
-    }).finally(self._receivePlayCompleted.bind(self));
+    let next = this._nextActivePlay();
+
+    handled(this._sendReport({
+      playId: this.config.current.play.id,
+      type: 'complete',
+      method: 'POST',
+      url: getBaseUrl() + '/api/v2/play/' + this.config.current.play.id + '/complete'
+    }).finally(self._receivePlayCompleted.bind(self, this.config.current.play)));
+
+    return next;
 
   } else {
     log('finish on non-active or playing song');
@@ -352,43 +793,70 @@ Session.prototype.reportPlayCompleted = function () {
   }
 };
 
-Session.prototype._receivePlayCompleted = function () {
-  if (!this.config.pendingRequest) {
-    log('song finished, and no outstanding request, so playing pendingPlay');
-    // if we're not waiting for an incoming request, then we must
-    // have the next play queued up, so play it:
-    var pendingPlay = this.config.pendingPlay;
-    this.config.pendingPlay = null;
+Session.prototype._receivePlayCompleted = function (play) {
+  if (!this.config.current || (this.config.current.play !== play)) {
+    // we moved on while waiting for the response
+    log('play completed, but it is no longer active');
+    return;
+  }
 
-    this._assignCurrentPlay(pendingPlay);
+  if (this.config.pendingPlays.length > 0) {
+    log('song finished, so playing next pending play');
+    this._advanceToPendingPlay();
 
-  } else {
+  } else if (this.config.pendingRequest) {
     log('song finished, but we\'re still waiting for next one to return');
 
     // we're waiting for a request to come in, so kill the current
     // song and announce that we're waiting
     this._assignCurrentPlay(null, true);
+
+  } else {
+    log('song finished, and nothing queued up or requested');
+    this._assignCurrentPlay(null);
+  }
+};
+
+// make the next pending play active
+Session.prototype._advanceToPendingPlay = function () {
+  this._assignCurrentPlay(this.config.pendingPlays.shift());
+
+  this._prepareUpcomingPlay();
+};
+
+// let clients start loading the play that follows the current one. Only
+// that one is prepared, since speakers may decode the whole song up front.
+Session.prototype._prepareUpcomingPlay = function () {
+  if (this.config.pendingPlays.length > 0) {
+    this.trigger('prepare-sound', this.config.pendingPlays[0].audio_file.url, this.config.pendingPlays[0]);
   }
 };
 
 
 Session.prototype.reportPlayStopped = function (seconds) {
+  let reported = Promise.resolve(null);
+
+  // don't let responses to earlier requests land after we've stopped
+  this._abortRequests();
+
   if (this.config.current && (this.config.current.started)) {
-    this._signedAjax(getBaseUrl() + '/api/v2/play/' + this.config.current.play.id + '/elapse', {
+    reported = this._sendReport({
+      playId: this.config.current.play.id,
+      type: 'elapse',
       method: 'POST',
-      body: JSON.stringify({ seconds: seconds }),
-      headers: {
-        'Content-Type': 'application/json'
-      }
+      url: getBaseUrl() + '/api/v2/play/' + this.config.current.play.id + '/elapse',
+      body: { seconds: seconds }
     });
   }
 
   // dump any future plays queued up
   this.config.pendingRequest = null;
-  this.config.pendingPlay = null;
+  this.config.pendingPlays = [];
   
   // we're not playing anything now, baby!
   this._assignCurrentPlay(null, true);
+
+  return reported;
 };
 
 
@@ -401,17 +869,23 @@ Session.prototype.requestSkip = function () {
     throw new Error('No song has been started');
   }
 
+  let skipped = this._nextActivePlay({
+    'skip-denied': () => new SkipDeniedError()
+  });
+
   if (!this.config.current.canSkip) {
-    setTimeout(() => { this.trigger('skip-denied'); }, 1);
-    return;
+    setTimeout(() => { this._triggerError(new SkipDeniedError()); }, 1);
+    return skipped;
   }
 
   this._signedAjax(getBaseUrl() + '/api/v2/play/' + this.config.current.play.id + '/skip', {
     method: 'POST'
-  })
+  }, 'skip')
     .then((response) => response.json())
     .then(this._receiveSkip.bind(this, this.config.current.play))
     .catch(this._failSkip.bind(this, this.config.current.play));
+
+  return skipped;
 };
 
 Session.prototype.requestInvalidate = function () {
@@ -419,13 +893,17 @@ Session.prototype.requestInvalidate = function () {
     throw new Error('No active song to invalidate!');
   }
 
+  let next = this._nextActivePlay();
+
   this._sendInvalidate(this.config.current.play);
+
+  return next;
 };
 
 Session.prototype._sendInvalidate = function (play, delay) {
   this._signedAjax(getBaseUrl() + '/api/v2/play/' + play.id + '/invalidate', {
     method: 'POST'
-  })
+  }, 'invalidate')
     .then((response) => response.json())
     .then(this._receiveInvalidate.bind(this, play))
     .catch(this._failInvalidate.bind(this, delay, play));
@@ -434,6 +912,13 @@ Session.prototype._sendInvalidate = function (play, delay) {
 Session.prototype._failInvalidate = function (delay, play, response) {
   var self = this;
 
+  if (isAborted(response)) {
+    log('invalidate request aborted');
+    return;
+  }
+
+  this._triggerNetworkError(response);
+
   delay = (delay ? delay * 2 : 200);
 
   if (delay < 3000) {
@@ -467,12 +952,10 @@ Session.prototype._receiveInvalidate = function (play, response) {
     return;
   }
 
-  if (this.config.pendingPlay) {
+  if (this.config.pendingPlays.length > 0) {
     log('invalidating to song already queued up');
     // skip to play already queued up
-    var pendingPlay = this.config.pendingPlay;
-    this.config.pendingPlay = null;
-    this._assignCurrentPlay(pendingPlay);
+    this._advanceToPendingPlay();
 
   } else {
     log('invalidating current song');
@@ -487,14 +970,20 @@ Session.prototype._receiveInvalidate = function (play, response) {
 
 };
 
-Session.prototype._failSkip = function (play) {
+Session.prototype._failSkip = function (play, response) {
   if (!this.config.current || (this.config.current.play !== play)) {
     // not playing this song any more - just ignore it
     return;
   }
+
+  if (response.body) {
+    // the server answered, but wouldn't let us skip
+    return this._receiveSkip(play, response.body);
+  }
+
   // technically the skip wasn't denied - we just couldn't confirm wether
   // it was ok, but this is the best we can return at the moment
-  this.trigger('skip-denied');
+  this._triggerError(new SkipDeniedError('unable to confirm the current song may be skipped'));
 };
 
 Session.prototype._receiveSkip = function (play, response) {
@@ -503,18 +992,23 @@ Session.prototype._receiveSkip = function (play, response) {
     return;
   }
 
+  this._skipBudget.update(response);
+
   if (!response.success) {
     log('failed skip!');
-    this.trigger('skip-denied');
+    this.config.current.canSkip = false;
+    this._skipBudget.denied();
+    this._skipStatusChanged();
+    this._triggerError(new SkipDeniedError());
     return;
   }
 
-  if (this.config.pendingPlay) {
+  this._skipBudget.skipped();
+
+  if (this.config.pendingPlays.length > 0) {
     log('skipping to song already queued up');
     // skip to play already queued up
-    var pendingPlay = this.config.pendingPlay;
-    this.config.pendingPlay = null;
-    this._assignCurrentPlay(pendingPlay);
+    this._advanceToPendingPlay();
 
   } else if (this.config.pendingRequest) {
     log('skipping to what is queued up');
@@ -530,6 +1024,12 @@ Session.prototype._receiveSkip = function (play, response) {
 };
 
 Session.prototype._startPlay = function (play) {
+  if (!this.config.current || (this.config.current.play !== play)) {
+    // a retry for a play we've since moved on from
+    log('not starting play, because it is no longer active', play);
+    return;
+  }
+
   if (this.config.current.retryCount > 2) {
     // fuck it - let the user hear the song
     this._receiveStartPlay(play, { success: true, can_skip: true });
@@ -540,8 +1040,7 @@ Session.prototype._startPlay = function (play) {
     // tell the server that we're going to start this song
     this._signedAjax(getBaseUrl() + '/api/v2/play/' + play.id + '/start', {
       method: 'POST'
-      // TODO: add timeout!
-    })
+    }, 'start')
       .then((response) => response.json())
       .then(this._receiveStartPlay.bind(this, play))
       .catch(this._failStartPlay.bind(this, play));
@@ -555,10 +1054,14 @@ Session.prototype._receiveStartPlay = function (play, response) {
       this.config.current.canSkip = response.can_skip;
       this.config.current.started = true;
 
+      this._skipBudget.update(response);
+
       // since we're ok to start this song, we can start looking for the
       // next song
       this._requestNextPlay();
 
+      this._queueChanged();
+
       this.trigger('play-started', play);
 
     } else {
@@ -584,19 +1087,25 @@ Session.prototype._failStartPlay = function (play, response) {
   // only process if we're still actually waiting for this
   if (this.config.current && (this.config.current.play === play)) {
 
-    if (response.status === 403) {
-      try {
-        var fullResponse = JSON.parse(response.responseText);
+    this._triggerNetworkError(response);
 
-        if (fullResponse.error && fullResponse.error.code === 20) {
-          // we seem to have missed the response to the original start, so
-          // let's assume the start was good and the song is skippable
-          return this._receiveStartPlay(play, { success: true, can_skip: true });
-        }
-      } catch (e) {
-        // ignore
-        log('unable to parse start play response', e.message);
-      }
+    if (isServerError(response, 403, ServerErrorCode.PLAY_ALREADY_STARTED)) {
+      // we seem to have missed the response to the original start (or
+      // started the play before it was resumed), so let's assume the start
+      // was good and the song is as skippable as it was
+      return this._receiveStartPlay(play, {
+        success: true,
+        can_skip: this.config.current.resumed ? this.config.current.canSkip : true
+      });
+    }
+
+    if (this.config.current.resumed && (response instanceof ServerError)) {
+      log('resumed play is no longer valid, so requesting new play', response);
+
+      this.config.pendingPlays = [];
+      this._assignCurrentPlay(null, true);
+      this._requestNextPlay();
+      return;
     }
 
     log('request failed - trying again in 1 second', response);
@@ -633,7 +1142,7 @@ Session.prototype._assignCurrentPlay = function (play, waitingIfEmpty) {
     } else {
       //this.config.status = 'idle';
       log('nothing to play from the current station');
-      this.trigger('plays-exhausted');
+      this._triggerError(new PlaysExhaustedError());
     }
 
   } else {
@@ -651,12 +1160,14 @@ Session.prototype._assignCurrentPlay = function (play, waitingIfEmpty) {
     this.trigger('play-active', play);
 
   }
+
+  this._queueChanged();
 };
 
 Session.prototype._requestNextPlay = function (delay) {
   var self = this;
 
-  getClientId().then(function (clientId) {
+  getClientId(self.transport).then(function (clientId) {
     if (self.config.pendingRequest) {
       if (!delay) {
         log('already waiting for a request to finish');
@@ -667,6 +1178,7 @@ Session.prototype._requestNextPlay = function (delay) {
 
         // we already retried this - let's give up
         self.config.pendingRequest = null;
+        self._queueChanged();
 
         if (self.config.current === null) {
           // we're not playing anything, so we're waiting. 
@@ -683,13 +1195,17 @@ Session.prototype._requestNextPlay = function (delay) {
 
         let ajax = self.config.pendingRequest.ajax;
 
-        self._signedAjax(self.config.pendingRequest.url, ajax)
+        self._signedAjax(self.config.pendingRequest.url, ajax, 'play')
           .then((response) => response.json())
           .then(self._receiveNextPlay.bind(self, ajax))
           .catch(self._failedNextPlay.bind(self, delay, ajax));
         return;
       }
 
+    } else if (self.config.pendingPlays.length >= self.config.lookahead) {
+      log('already have enough plays queued up');
+      return;
+
     } else {
       // create a new request
 
@@ -722,9 +1238,11 @@ Session.prototype._requestNextPlay = function (delay) {
         retryCount: 0
       };
 
+      self._queueChanged();
+
       // request new play from server
       log('requesting new play from server', ajax);
-      self._signedAjax(getBaseUrl() + '/api/v2/play', ajax)
+      self._signedAjax(getBaseUrl() + '/api/v2/play', ajax, 'play')
         .then((response) => response.json())
         .then(self._receiveNextPlay.bind(self, ajax))
         .catch(self._failedNextPlay.bind(self, delay, ajax));
@@ -740,13 +1258,21 @@ Session.prototype._receiveNextPlay = function (ajax, response) {
     this.config.pendingRequest = null;
 
     if (response.success) {
-      this.trigger('prepare-sound', response.play.audio_file.url);
+      if (this.config.pendingPlays.length === 0) {
+        // this play is up next, so start loading it
+        this.trigger('prepare-sound', response.play.audio_file.url, response.play);
+      }
 
       if (this.config.current) {
         log('received play, but we\'re already playing, so queueing up', response.play);
 
-        // play this when the current song is complete
-        this.config.pendingPlay = response.play;
+        // play this after the current song and anything queued before it
+        this.config.pendingPlays.push(response.play);
+
+        if (this.config.current.started) {
+          // keep the queue topped up
+          this._requestNextPlay();
+        }
 
       } else {
         log('received play and no current song, making active now', response.play);
@@ -756,22 +1282,22 @@ Session.prototype._receiveNextPlay = function (ajax, response) {
 
       }
 
-    } else if (response.error && response.error.code === 9) {
+    } else if (response.error && response.error.code === ServerErrorCode.PLAYS_EXHAUSTED) {
       if (this.config.current) {
         log('ran out of music to play, but we\'re already playing');
 
-        this.config.pendingPlay = null;
-
       } else {
         log('ran out of music, and nothing playing now');
 
-        this.trigger('plays-exhausted');
+        this._triggerError(new PlaysExhaustedError());
       }
 
     } else {
       log('unsuccessful response', response);
     }
 
+    this._queueChanged();
+
   } else {
     log('nextPlay succeeded, but we don\'t care');
   }
@@ -792,21 +1318,30 @@ Session.prototype._failedNextPlay = function (delay, ajax, response) {
   // only process if we're still actually waiting for this
   if (this.config.pendingRequest && (this.config.pendingRequest.ajax === ajax)) {
 
-    if (response.status === 403) {
-      try {
-        var fullResponse = JSON.parse(response.responseText);
+    this._triggerNetworkError(response);
 
-        if (fullResponse.error && fullResponse.error.code === 19) {
-          // user isn't in the US any more, so let the call fail
-          this.trigger('music-unavailable', fullResponse.error.message);
-          // legacy:
-          this.trigger('not-in-us', fullResponse.error.message);
-          return;
-        }
-      } catch (e) {
-        // some other response - fall through and try again
-        log('problem parsing 403 response', e.message);
-      }
+    if (isServerError(response, 403, ServerErrorCode.MUSIC_UNAVAILABLE)) {
+      // user isn't in the US any more, so let the call fail
+      this.trigger('music-unavailable', response.message);
+      // legacy:
+      this.trigger('not-in-us', response.message);
+      this.trigger('error', new MusicUnavailableError(response.message));
+      return;
+    }
+
+    if (response.serverCode === ServerErrorCode.PLAYS_EXHAUSTED) {
+      // let the usual response handling deal with this
+      return this._receiveNextPlay(ajax, response.body);
+    }
+
+    if (isQueueFull(response) && (this.config.pendingPlays.length > 0)) {
+      // the server won't queue up any more plays for us, so don't ask again
+      log('server refused to queue up more than ' + this.config.pendingPlays.length + ' plays');
+
+      this.config.lookahead = this.config.pendingPlays.length;
+      this.config.pendingRequest = null;
+      this._queueChanged();
+      return;
     }
 
     delay = Math.min(delay ? (delay * 2) : 500, 2000);
@@ -827,46 +1362,129 @@ Session.prototype.maybeCanSkip = function () {
 };
 
 Session.prototype.likePlay = function (playId) {
-  this._signedAjax(getBaseUrl() + '/api/v2/play/' + playId + '/like', {
-    method: 'POST'
+  let liked = this._sendReport({
+    playId: playId,
+    type: 'like',
+    method: 'POST',
+    url: getBaseUrl() + '/api/v2/play/' + playId + '/like'
   });
 
   if (this.config.current && (this.config.current.play.id === playId)) {
     this.config.current.play.liked = true;
   }
+
+  return liked;
 };
 
 Session.prototype.unlikePlay = function (playId) {
-  this._signedAjax(getBaseUrl() + '/api/v2/play/' + playId + '/like', {
-    method: 'DELETE'
+  let liked = this._sendReport({
+    playId: playId,
+    type: 'unlike',
+    method: 'DELETE',
+    url: getBaseUrl() + '/api/v2/play/' + playId + '/like'
   });
 
   if (this.config.current && (this.config.current.play.id === playId)) {
     delete this.config.current.play['liked'];
   }
+
+  return liked;
 };
 
 Session.prototype.dislikePlay = function (playId) {
-  this._signedAjax(getBaseUrl() + '/api/v2/play/' + playId + '/dislike', {
-    method: 'POST'
+  let liked = this._sendReport({
+    playId: playId,
+    type: 'dislike',
+    method: 'POST',
+    url: getBaseUrl() + '/api/v2/play/' + playId + '/dislike'
   });
 
   if (this.config.current && (this.config.current.play.id === playId)) {
     this.config.current.play.liked = false;
   }
+
+  return liked;
+};
+
+// Send a play report to the server and resolve with the response. If the
+// network is unavailable (or earlier reports are still waiting to go out)
+// the report is queued for later delivery and we resolve with null.
+Session.prototype._sendReport = function (report) {
+  var queue = this._reportQueue;
+
+  report.timestamp = Date.now();
+
+  if (queue && !queue.canSend()) {
+    queue.push(report);
+    queue.flush();
+
+    return Promise.resolve(null);
+  }
+
+  return this._deliverReport(report)
+    .catch((error) => {
+      if (!queue || !(error instanceof NetworkError)) {
+        throw error;
+      }
+
+      log('unable to deliver report, so queueing it', error);
+      queue.push(report);
+
+      return null;
+    })
+    .then((response) => response && response.json());
+};
+
+// Send a report to the server. Reports replayed from the queue include the
+// time they were originally made.
+Session.prototype._deliverReport = function (report, replayed) {
+  var body = report.body;
+  var request = { method: report.method };
+
+  if (replayed) {
+    body = Object.assign({}, body, { timestamp: new Date(report.timestamp).toISOString() });
+  }
+
+  if (body) {
+    request.body = JSON.stringify(body);
+    request.headers = {
+      'Content-Type': 'application/json'
+    };
+  }
+
+  return this._signedAjax(report.url, request, (report.type === 'unlike') ? 'like' : report.type);
+};
+
+// Send a report from the queue. Reports the server refuses are dropped,
+// since sending them again won't change the answer.
+Session.prototype._replayReport = function (report) {
+  return this._deliverReport(report, true)
+    .catch((error) => {
+      if (error instanceof NetworkError) {
+        throw error;
+      }
+
+      log('server refused queued report, so dropping it', error);
+    });
 };
 
 var cookieName = 'cid';
+var noDocument = (typeof document === 'undefined');
+
 Session.prototype._getStoredCid = function () {
-  return getCookie(cookieName);
+  return noDocument ? null : getCookie(cookieName);
 };
 
 Session.prototype._setStoredCid = function (value) {
-  setCookie(cookieName, value, { expires: 3650, path: '/' });
+  if (!noDocument) {
+    setCookie(cookieName, value, { expires: 3650, path: '/' });
+  }
 };
 
 Session.prototype._deleteStoredCid = function () {
-  removeCookie(cookieName);
+  if (!noDocument) {
+    removeCookie(cookieName);
+  }
 };
 
 Session.prototype._sign = function (request) {
@@ -902,14 +1520,110 @@ Session.prototype._sign = function (request) {
   return request;
 };
 
-Session.prototype._signedAjax = function (url, request) {
+Session.prototype._signedAjax = function (url, request, endpoint, cancelable) {
   var self = this;
 
-  return self._ajax(url, self._sign(request));
+  return self._ajax(url, self._sign(request), endpoint, cancelable);
+};
+
+// Send a request through the transport. If no response arrives within the
+// timeout configured for 'endpoint', the returned promise rejects with a
+// NetworkError whose reason is 'timeout'. Requests to CANCELABLE_ENDPOINTS
+// (unless 'cancelable' is false) reject with a NetworkError whose reason is
+// 'aborted' when _abortRequests() is called. Failures from the transport are wrapped in a NetworkError
+// whose reason is 'failed'. Responses with a non-2xx status reject with
+// a ServerError.
+Session.prototype._ajax = function (url, request, endpoint, cancelable) {
+  var timeouts = this.config.timeouts;
+  var timeout = (endpoint && (endpoint in timeouts)) ? timeouts[endpoint] : timeouts.default;
+  var controller = (typeof AbortController !== 'undefined') ? new AbortController() : null;
+
+  if (controller) {
+    request = Object.assign({}, request, { signal: controller.signal });
+  }
+
+  return new Promise((resolve, reject) => {
+    var timer = null;
+    var outstanding = {
+      cancelable: (cancelable !== false) && (CANCELABLE_ENDPOINTS.indexOf(endpoint) !== -1),
+      abort: () => {
+        settle(reject, new NetworkError('aborted', 'request to ' + url + ' was aborted'));
+      }
+    };
+
+    var settle = (callback, value) => {
+      var index = this._outstandingRequests.indexOf(outstanding);
+      if (index === -1) {
+        // already timed out or aborted
+        return;
+      }
+
+      this._outstandingRequests.splice(index, 1);
+      clearTimeout(timer);
+
+      if (controller && (callback === reject)) {
+        // stop the transport from doing any more work
+        controller.abort();
+      }
+
+      callback(value);
+    };
+
+    this._outstandingRequests.push(outstanding);
+
+    if (timeout) {
+      timer = setTimeout(() => {
+        log('request to ' + url + ' timed out after ' + timeout + 'ms');
+        settle(reject, new NetworkError('timeout', 'request to ' + url + ' timed out'));
+      }, timeout);
+    }
+
+    (this.transport || getTransport())(url, request)
+      .then(checkResponse, (error) => {
+        throw new NetworkError('failed', 'request to ' + url + ' failed', error);
+      })
+      .then((response) => settle(resolve, response), (error) => settle(reject, error));
+  });
+};
+
+// trigger the legacy event for an error (passing along any extra arguments),
+// followed by an 'error' event
+Session.prototype._triggerError = function (error) {
+  var args = Array.prototype.slice.call(arguments, 1);
+
+  this.trigger.apply(this, [ error.event ].concat(args));
+  this.trigger('error', error);
+};
+
+// announce failed requests that never got a response from the server
+Session.prototype._triggerNetworkError = function (error) {
+  if ((error instanceof NetworkError) && !isAborted(error)) {
+    this.trigger('error', error);
+  }
 };
 
-Session.prototype._ajax = function (url, request) {
-  return fetch(url, request);
+// Abort all outstanding requests to endpoints that affect session state
+Session.prototype._abortRequests = function () {
+  this._outstandingRequests
+    .filter((outstanding) => outstanding.cancelable)
+    .forEach((outstanding) => outstanding.abort());
+};
+
+// Abort any outstanding requests and forget any active or pending plays.
+// No further events will be triggered for them.
+Session.prototype.destroy = function () {
+  this._abortRequests();
+
+  if (this._reportQueue) {
+    this._reportQueue.destroy();
+  }
+
+  clearTimeout(this._skipStatusTimeout);
+  this._skipStatusTimeout = null;
+
+  this.config.pendingRequest = null;
+  this.config.pendingPlays = [];
+  this.config.current = null;
 };
 
 Session.prototype._submitLogHistory = function() {
@@ -925,7 +1639,7 @@ Session.prototype._submitLogHistory = function() {
     headers: {
       'Content-Type': 'application/json'
     }
-  });
+  }, 'event');
 };
 
 export default Session;
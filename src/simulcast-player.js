@@ -1,8 +1,12 @@
 
 import Events from './events';
 import { getBaseUrl } from './base-url';
+import { getTransport, checkResponse } from './transport';
 import Speaker from './speaker';
 import log from './log';
+import { MusicUnavailableError, NetworkError, ServerError } from './errors';
+import Ducker from './ducker';
+import { handled } from './util';
 import { version as FEED_VERSION } from '../package.json';
 
 const METADATA_TIMEOUT = 10000;
@@ -19,6 +23,8 @@ const METADATA_TIMEOUT = 10000;
  *   disconnect
  *   getVolume
  *   setVolume
+ *   getAnalyserNode
+ *   duck, unduck, duckWhile, autoDuck, removeAutoDuck
  * 
  * The player has a state, returned from getCurrentState():
  * 
@@ -30,7 +36,13 @@ const METADATA_TIMEOUT = 10000;
  *   'music-unavailable' - no music is available for this client for this stream
  * 
  * The audio volume can be adjusted with setVolume() and retrieved with
- * getVolume().
+ * getVolume(). getAnalyserNode() returns the Web Audio AnalyserNode the
+ * stream plays through (see audio-output.js), or null if the speaker
+ * doesn't have one.
+ *
+ * The music can be lowered while something talks over it, without changing
+ * getVolume(), with duck(), unduck(), duckWhile(), autoDuck() and
+ * removeAutoDuck(). They work just like they do on the Player (see ducker.js).
  * 
  * The player triggers the following events:
  *    play-started - indicates a new song has begun playback, or we've
@@ -39,9 +51,19 @@ const METADATA_TIMEOUT = 10000;
  *        which indicates silence is playing right now.
  *    music-unavailable - indicates the listener may not listen to music
  *    state-changed - indicates the state of the player changed
+ *    error - passed a MusicUnavailableError (see errors.js) just after
+ *        the 'music-unavailable' event, or the NetworkError or ServerError
+ *        from a failed metadata request, just like the Session. Failed
+ *        metadata requests are retried after the error is reported.
  * 
  * Upon a call to 'connect', the client can expect either a 'play-started'
  * event or a 'music-unavailable' event.
+ * 
+ * The optional 'options' argument to the constructor may have a
+ * 'transport' attribute, which is a function with the signature of
+ * window.fetch that will be used for all metadata requests, and a
+ * 'speaker' attribute, which is the speaker (see speaker.js) that
+ * plays the stream.
  */
 
 class SimulcastPlayer {
@@ -56,10 +78,14 @@ class SimulcastPlayer {
   // var _tryingToPlay = false; // true if we want to play/hear music
   // var _retries; // number of times we've retried playing music
 
-  constructor(uuid) {
+  constructor(uuid, options) {
     Object.assign(this, Events);
 
-    this._speaker = new Speaker();
+    options = options || {};
+    this._transport = options.transport || null;
+
+    this._speaker = options.speaker || new Speaker();
+    this._ducker = new Ducker(this._speaker);
 
     this._uuid = uuid;
     this._state = 'idle';
@@ -117,7 +143,7 @@ class SimulcastPlayer {
       this._setState('connected');
 
       // get details about the play
-      fetch(this._streamUrl + '/play?elapsed=' + this._elapsed)
+      this._ajax(this._streamUrl + '/play?elapsed=' + this._elapsed)
         .then((res) => res.json())
         .then((res) => {
           if (res.success) {
@@ -136,11 +162,13 @@ class SimulcastPlayer {
             }, 3000);
           }
         })
-        .catch(() => {
+        .catch((error) => {
           // try again in 2 seconds
           this._metadataTimeout = setTimeout(() => {
             this._onSoundPlay();
           }, 2000);
+
+          this._metadataFailed(error);
         });
 
     } else if (!this._metadataTimeout) {
@@ -197,7 +225,7 @@ class SimulcastPlayer {
 
   _onMetadataTimeout() {
     // check for update of current song
-    fetch(this._streamUrl + '/play?elapsed=' + this._elapsed)
+    this._ajax(this._streamUrl + '/play?elapsed=' + this._elapsed)
       .then((res) => res.json())
       .then((res) => {
         if (res.success) {
@@ -215,10 +243,12 @@ class SimulcastPlayer {
           this._onMetadataTimeout();
         }, METADATA_TIMEOUT);
       })
-      .catch(() => {
+      .catch((error) => {
         this._metadataTimeout = setTimeout(() => {
           this._onMetadataTimeout();
         }, METADATA_TIMEOUT);
+
+        this._metadataFailed(error);
       });
 
     if ((Date.now() - this._lastElapsedAt) > 4000) {
@@ -236,6 +266,7 @@ class SimulcastPlayer {
 
       this._setState('music-unavailable');
       this.trigger('music-unavailable');
+      this.trigger('error', new MusicUnavailableError());
 
     } else {
       log('reconnecting after stream ended', error);
@@ -266,7 +297,7 @@ class SimulcastPlayer {
     }
 
     // help us narrow down streaming issues
-    this._logEvents();
+    handled(this._logEvents());
   }
 
   disconnect() {
@@ -293,7 +324,7 @@ class SimulcastPlayer {
 
     this._setState('idle');
 
-    this._logEvents();
+    handled(this._logEvents());
   }
 
   getVolume() {
@@ -304,6 +335,30 @@ class SimulcastPlayer {
     this._speaker.setVolume(vol);
   }
 
+  getAnalyserNode() {
+    return this._speaker.getAnalyserNode ? this._speaker.getAnalyserNode() : null;
+  }
+
+  duck(level, options) {
+    this._ducker.duck(level, options);
+  }
+
+  unduck(options) {
+    this._ducker.unduck(options);
+  }
+
+  duckWhile(promise, level, options) {
+    return this._ducker.duckWhile(promise, level, options);
+  }
+
+  autoDuck(source, level, options) {
+    this._ducker.autoDuck(source, level, options);
+  }
+
+  removeAutoDuck(source) {
+    this._ducker.removeAutoDuck(source);
+  }
+
   _setState(newState) {
     if (this._state !== newState) {
       log(`state transition ${this._state} -> ${newState}`);
@@ -323,7 +378,7 @@ class SimulcastPlayer {
   _logEvents() {
     let history = log.reset();
 
-    return fetch(getBaseUrl() + '/api/v2/session/event', {
+    return this._ajax(getBaseUrl() + '/api/v2/session/event', {
       method: 'POST',
       body: JSON.stringify({
         event: 'playerHistory',
@@ -336,6 +391,24 @@ class SimulcastPlayer {
     });
   }
 
+  // announce a failed metadata request, as the Session does for its requests
+  _metadataFailed(error) {
+    log('metadata request failed', error);
+
+    if (this._tryingToPlay && ((error instanceof NetworkError) || (error instanceof ServerError))) {
+      this.trigger('error', error);
+    }
+  }
+
+  // Send a request through the transport. Failures from the transport are
+  // wrapped in a NetworkError, and non-2xx responses reject with a ServerError.
+  _ajax(url, request) {
+    return (this._transport || getTransport())(url, request)
+      .then(checkResponse, (error) => {
+        throw new NetworkError('failed', 'request to ' + url + ' failed', error);
+      });
+  }
+
   toObject() {
     return {
       state: this._state,
@@ -0,0 +1,106 @@
+/*
+ * The SkipBudget keeps track of how many skips a listener has left under
+ * the DMCA rules, which only allow a limited number of skips per hour.
+ * The Session feeds it the responses to 'start' and 'skip' requests, and
+ * exposes its status through session.getSkipStatus():
+ *
+ *   {
+ *     canSkip: true,        // whether the server says the current song may
+ *                           // be skipped
+ *     remaining: 4,         // estimate of the skips left in the current hour
+ *     resetsAt: 1600003600000 // when another skip becomes available (ms
+ *                           // since the epoch), or null if we don't know or
+ *                           // no skips have been used
+ *   }
+ *
+ * Only the server decides whether a skip is allowed, so 'canSkip' comes
+ * straight from it, and 'remaining' and 'resetsAt' are advisory - they
+ * let clients explain why skipping is disabled, or warn that few skips
+ * are left.
+ *
+ * When the server includes 'skips_remaining' (and optionally
+ * 'skips_reset_in', in seconds) in a response, those numbers are used.
+ * Otherwise the remaining skips are counted down from 'limit' (default 6)
+ * as skips succeed, and each skip is given back an hour after it was made.
+ * A denied skip means there are none left, whatever we counted.
+ */
+
+const DEFAULT_LIMIT = 6;
+const WINDOW_MS = 60 * 60 * 1000;
+
+class SkipBudget {
+
+  constructor(limit) {
+    this._limit = limit || DEFAULT_LIMIT;
+
+    this._skips = [];        // times of successful skips in the last hour, oldest first
+    this._reported = null;   // { remaining, resetsAt } from the server, or from a denial
+  }
+
+  // the server answered a 'start' or 'skip' request with 'response'
+  update(response) {
+    if (typeof response.skips_remaining === 'number') {
+      this._reported = {
+        remaining: Math.max(0, response.skips_remaining),
+        resetsAt: (typeof response.skips_reset_in === 'number') ? Date.now() + (response.skips_reset_in * 1000) : null
+      };
+
+    } else if (response.can_skip && this._reported && (this._reported.remaining === 0)) {
+      // the server is letting us skip again
+      this._reported = null;
+
+    }
+  }
+
+  // the server let us skip a song
+  skipped() {
+    this._skips.push(Date.now());
+
+    if (this._reported && (this._reported.remaining > 0)) {
+      this._reported.remaining--;
+    }
+  }
+
+  // the server wouldn't let us skip a song
+  denied() {
+    this._expire();
+
+    this._reported = {
+      remaining: 0,
+      resetsAt: (this._reported && this._reported.resetsAt) || this._derivedResetsAt()
+    };
+  }
+
+  // 'canSkipSong' is whether the server says the current song may be skipped
+  getStatus(canSkipSong) {
+    this._expire();
+
+    var remaining = this._reported ? this._reported.remaining : Math.max(0, this._limit - this._skips.length);
+    var resetsAt = this._reported ? this._reported.resetsAt : this._derivedResetsAt();
+
+    return {
+      canSkip: !!canSkipSong,
+      remaining: remaining,
+      resetsAt: resetsAt
+    };
+  }
+
+  _derivedResetsAt() {
+    return (this._skips.length > 0) ? this._skips[0] + WINDOW_MS : null;
+  }
+
+  // forget skips made more than an hour ago, and anything the server
+  // told us that has since run out
+  _expire() {
+    var now = Date.now();
+
+    this._skips = this._skips.filter((time) => time + WINDOW_MS > now);
+
+    if (this._reported && this._reported.resetsAt && (this._reported.resetsAt <= now)) {
+      this._reported = null;
+    }
+  }
+
+}
+
+export default SkipBudget;
@@ -1,13 +1,39 @@
 /*
  * The speaker object uses native web audio, and the interface boils it down
- * to the following api:
+ * to the following api. This is the interface every speaker backend
+ * implements (see pcm-speaker.js for one that runs outside the browser), and
+ * the Player and SimulcastPlayer only talk to their speaker through it:
  *
  *    speaker.initializeAudio(): many clients can only start using
  *      audio when handling an 'onClick' event. This call should be made 
  *      at that time to get audio initialized while waiting for details
  *      of what to play from the server. 
  *
+ *    speaker.getSupportedFormats(): return a comma separated list of the
+ *      audio formats ('aac', 'mp3') the speaker can play
+ *
  *    speaker.setVolume(value): set the volume from 0 (mute) - 100 (full volume)
+ *      and trigger a 'volume' event
+ *
+ *    speaker.getVolume(): return the volume (0 - 100)
+ *
+ *    speaker.prepare(url, options): start loading the given url, because we
+ *      expect to play it soon. 'options' (which may be null) holds the
+ *      startPosition, endPosition, fade and gain options (see below) the
+ *      sound for that url is likely to be created with.
+ *
+ *    speaker.flush(): destroy all sounds created by the speaker
+ *
+ *    speaker.getAnalyserNode(): (optional) return a Web Audio AnalyserNode
+ *      that all music passes through, or null if there isn't one (see
+ *      audio-output.js)
+ *
+ *    speaker.setEffects(effects): (optional) pass all music through the
+ *      given list of audio effects (see effects.js)
+ *
+ *    speaker.setDuckLevel(level, rampMs): (optional) scale the volume of all
+ *      music by 'level' (0..1), moving there over 'rampMs' milliseconds,
+ *      without changing the value returned by getVolume() (see ducker.js)
  *
  *    var sound = speaker.create(url, optionsAndEvents): create a new sound from the
  *       given url and return a 'song' object that can be used to pause/play/
@@ -22,6 +48,11 @@
  *                          sound should stop playback 
  *          fadeInSeconds:  # of seconds to fade in audio
  *          fadeOutSeconds: # of seconds to fade out audio
+ *          fadeCurve:      shape of the fades: 'linear' (the default),
+ *                          'equal-power' or 'exponential' (see fades.js)
+ *          overlapSeconds: # of seconds before the end of the audio that the
+ *                          next sound may start playing over it (defaults
+ *                          to fadeOutSeconds)
  *          play:           event handler for 'play' event
  *          pause:          event handler for 'pause' event
  *          finish:         event handler for 'finish' event
@@ -46,23 +77,39 @@
  *         play: start playback (at the 'startPosition', if specified)
  *         pause: pause playback
  *         resume: resume playback
+ *         position: number of milliseconds of the song played so far
+ *         duration: length of the song in milliseconds (0 if not yet known)
+ *         seek(ms): move playback to 'ms' milliseconds into the song
  *         destroy: stop playback, prevent any future playback, and free up memory
  *
+ *       Backends create their song objects with the Sound class exported
+ *       from this file, which calls back into the speaker's _playSound(sound),
+ *       _pauseSound(sound), _position(sound), _duration(sound),
+ *       _seekSound(sound, ms) and _destroySound(sound) methods.
+ *
  *   The speaker assumes that you'll be playing only one sound at a time. When 
  *   you kick off playback of a sound, it stops playback of any existing sound.
- *   Fade-outs are handled by reporting the audio as complete when the fade-out
- *   begins, but the sound continues playback until it has fully faded out. New
- *   audio can be started while the fadeout is happening.
+ *   Overlaps (and so fade-outs, by default) are handled by reporting the audio
+ *   as complete when the overlap begins, but the sound continues playback until
+ *   it has reached its end. New audio can be started while that is happening.
  */
 
 import log from './log';
 import Events from './events';
 import { uniqueId } from './util';
+import { getFadeCurve, scheduleVolume, holdVolume } from './fades';
+import AudioOutput from './audio-output';
 
 const DEFAULT_VOLUME = 1.0;
 
-const APPLE = /(iPhone|iPad|Mac)/i.test(navigator.userAgent);
-const brokenWebkit = APPLE && /OS 13_[543210]/i.test(navigator.userAgent);
+// how long before a fade-out we re-sync the gain automation with the audio element
+const FADE_SYNC_SECONDS = 1;
+
+// navigator isn't available when we're loaded in node or during server-side rendering
+const userAgent = ((typeof navigator !== 'undefined') && navigator.userAgent) || '';
+
+const APPLE = /(iPhone|iPad|Mac)/i.test(userAgent);
+const brokenWebkit = APPLE && /OS 13_[543210]/i.test(userAgent);
 
 const SILENCE = APPLE ?
   'https://u9e9h7z5.map2.ssl.hwcdn.net/feedfm-audio/250-milliseconds-of-silence.mp3' :
@@ -95,14 +142,14 @@ var Sound = function (speaker, options, id, url) {
     }
 
     this.fadeOutSeconds = +options.fadeOutSeconds;
-    if (this.fadeOutSeconds) {
-      if (this.endPosition) {
-        this.fadeOutStart = (this.endPosition / 1000) - this.fadeOutSeconds;
-        this.fadeOutEnd = this.endPosition / 1000;
-      } else {
-        this.fadeOutStart = 0;
-        this.fadeOutEnd = 0;
-      }
+    this.fadeOutStart = 0;
+    this.fadeOutEnd = 0;
+
+    this.overlapSeconds = ('overlapSeconds' in options) ? +options.overlapSeconds : this.fadeOutSeconds;
+    this.overlapStart = 0; // seconds into the audio at which the next sound starts
+
+    if (this.endPosition) {
+      this.setEnd(this.endPosition / 1000);
     }
 
     for (let ev of ['play', 'pause', 'finish', 'elapse']) {
@@ -112,9 +159,11 @@ var Sound = function (speaker, options, id, url) {
     }
 
     this.gain = options.gain || 0;
+    this.fadeCurve = getFadeCurve(options.fadeCurve);
 
   } else {
     this.gain = 0;
+    this.fadeCurve = getFadeCurve();
 
   }
 
@@ -156,6 +205,12 @@ Sound.prototype = {
     return this.speaker._duration(this);
   },
 
+  // move playback to 'ms' milliseconds into the sound clip
+  seek: function (ms) {
+    log('sound ' + this.id + ' seek to ' + ms);
+    return this.speaker._seekSound(this, ms);
+  },
+
   // stop playing the given sound clip, unload it, and disable events
   // note that no further events will be sent from this sound
   // (so no 'finish' event, in particular)
@@ -164,6 +219,19 @@ Sound.prototype = {
     this.speaker._destroySound(this);
   },
 
+  // configure the fade-out and overlap, which are relative to the end of
+  // the audio, once we know when that is (in seconds)
+  setEnd: function (end) {
+    if (this.fadeOutSeconds && (this.fadeOutEnd === 0)) {
+      this.fadeOutStart = end - this.fadeOutSeconds;
+      this.fadeOutEnd = end;
+    }
+
+    if (this.overlapSeconds && (this.overlapStart === 0)) {
+      this.overlapStart = Math.max(end - this.overlapSeconds, 0);
+    }
+  },
+
   gainAdjustedVolume: function (volume) {
     if (!this.gain) {
       return volume / 100;
@@ -174,6 +242,30 @@ Sound.prototype = {
     //log('gain adjustment is ' + this.gain + ', and final adjusted volume is ' + adjusted);
 
     return adjusted;
+  },
+
+  // volume (0..1) this sound should play at when 'currentTime' seconds
+  // into the song, taking fades into account
+  volumeAt: function (currentTime, volume) {
+    var calculatedVolume = this.gainAdjustedVolume(volume);
+
+    if ((this.fadeInStart !== this.fadeInEnd) && (currentTime < this.fadeInStart)) {
+      calculatedVolume = 0;
+
+    } else if ((this.fadeInStart !== this.fadeInEnd) && (currentTime >= this.fadeInStart) && (currentTime <= this.fadeInEnd)) {
+      // ramp up from 0 - 100%
+      calculatedVolume = this.fadeCurve((currentTime - this.fadeInStart) / (this.fadeInEnd - this.fadeInStart)) * calculatedVolume;
+
+    } else if ((this.fadeOutStart !== this.fadeOutEnd) && (currentTime > this.fadeOutEnd)) {
+      calculatedVolume = 0;
+
+    } else if ((this.fadeOutStart !== this.fadeOutEnd) && (currentTime >= this.fadeOutStart) && (currentTime <= this.fadeOutEnd)) {
+      // ramp down from 100% to 0
+      calculatedVolume = this.fadeCurve(1 - (currentTime - this.fadeOutStart) / (this.fadeOutEnd - this.fadeOutStart)) * calculatedVolume;
+
+    }
+
+    return calculatedVolume;
   }
 
 };
@@ -186,7 +278,7 @@ let Speaker = function () {
 Speaker.APPLE = APPLE;
 Speaker.brokenWebkit = brokenWebkit;
 
-function createAudioContext() {
+export function createAudioContext() {
   var AudioCtor = window.AudioContext || window.webkitAudioContext;
 
   let desiredSampleRate = 44100;
@@ -219,7 +311,10 @@ Speaker.prototype = {
   vol: 100,  // 0..100
   outstandingSounds: {}, // Sound instances that have not yet been destroyed
 
-  audioContext: null, // for mobile safari volume adjustment
+  audioContext: null, // gain nodes for volume and fades
+  output: null, // AudioOutput that all audio elements play through
+  effects: null, // effects to apply in the output (see effects.js)
+  duckLevel: 1, // level music is ducked to in the output (see ducker.js)
 
   active: null, // active audio element, sound, and gain node
   fading: null, // fading audio element, sound, and gain node
@@ -230,7 +325,7 @@ Speaker.prototype = {
   //   audio: an HTML Audio element (created during initializeAudio() and reused)
   //   sound: refers to Sound object whose URL has been assigned to 'audio.src' and
   //          audio.play() has successfully returned.
-  //   gain: AudioGainNode for apple
+  //   gain: gain AudioParam that volume and fades are scheduled on (null for brokenWebkit)
   //   volume: relative volume of this sound (0..1)
   // }
   //
@@ -258,6 +353,8 @@ Speaker.prototype = {
       }
 
       this.audioContext = createAudioContext();
+      this.output = new AudioOutput(this.audioContext, this.effects);
+      this.output.setDuckLevel(this.duckLevel, 0);
 
       this.active = this._createAudio(SILENCE);
       this.fading = this._createAudio(SILENCE);
@@ -284,7 +381,7 @@ Speaker.prototype = {
     gainNode.gain.value = DEFAULT_VOLUME;
 
     source.connect(gainNode);
-    gainNode.connect(this.audioContext.destination);
+    gainNode.connect(this.output.input);
 
     return gainNode.gain;
   },
@@ -299,9 +396,10 @@ Speaker.prototype = {
 
     this._addEventListeners(audio);
 
-    // apple volume adjustment
+    // volume and fades are applied with a gain node, except where
+    // createMediaElementSource() is broken
     var gain = null;
-    if (APPLE && !brokenWebkit) {
+    if (!brokenWebkit) {
       gain = this._createAudioGainNode(audio);
     }
 
@@ -380,7 +478,7 @@ Speaker.prototype = {
         this.fading.audio.src = SILENCE;
 
       } else {
-        this._setVolume(this.fading);
+        this._updateVolume(this.fading);
       }
 
       return;
@@ -410,9 +508,9 @@ Speaker.prototype = {
 
       sound.trigger('finish');
 
-    } else if (this.active.sound.fadeOutEnd && (audio.currentTime >= this.active.sound.fadeOutStart)) {
-      // song hit start of fade out
-      this._setVolume(this.active);
+    } else if (this.active.sound.overlapStart && (audio.currentTime >= this.active.sound.overlapStart)) {
+      // song hit start of overlap with the next song
+      this._updateVolume(this.active);
 
       // active becomes fading, and fading becomes active
       var fading = this.fading;
@@ -425,7 +523,7 @@ Speaker.prototype = {
       this.fading.sound.trigger('finish');
 
     } else {
-      this._setVolume(this.active);
+      this._updateVolume(this.active);
 
       this.active.sound.trigger('elapse');
     }
@@ -437,47 +535,48 @@ Speaker.prototype = {
     }
   },
 
+  // Set the volume for the sound in the audio group. With a gain node, the
+  // sound's fades are scheduled on the audio context clock from here on, so
+  // this only needs to be called when playback starts, resumes or the volume
+  // changes. Otherwise, the volume is stepped every time this is called.
   _setVolume: function (audioGroup, sound) {
     if (!sound) { sound = audioGroup.sound; }
 
     var currentTime = audioGroup.audio.currentTime;
-    var currentVolume = audioGroup.volume;
 
-    var calculatedVolume = sound.gainAdjustedVolume(this.vol);
+    if (audioGroup.gain) {
+      scheduleVolume(audioGroup.gain, sound, this.vol, currentTime, this.audioContext.currentTime);
 
-    if ((sound.fadeInStart !== sound.fadeInEnd) && (currentTime < sound.fadeInStart)) {
-      calculatedVolume = 0;
-
-      log('pre-fade-in volume is 0');
-
-    } else if ((sound.fadeInStart !== sound.fadeInEnd) && (currentTime >= sound.fadeInStart) && (currentTime <= sound.fadeInEnd)) {
-      // ramp up from 0 - 100%
-      calculatedVolume = (currentTime - sound.fadeInStart) / (sound.fadeInEnd - sound.fadeInStart) * calculatedVolume;
+      audioGroup.volume = sound.volumeAt(currentTime, this.vol);
+      audioGroup.fadeOutSynced = !sound.fadeOutEnd || (currentTime >= sound.fadeOutStart - FADE_SYNC_SECONDS);
+      return;
+    }
 
-      log('ramping ▲ volume', { currentTime: currentTime, currentVolume: currentVolume, calculatedVolume: calculatedVolume, sound: sound });
+    var calculatedVolume = sound.volumeAt(currentTime, this.vol);
 
-    } else if ((sound.fadeOutStart !== sound.fadeOutEnd) && (currentTime > sound.fadeOutEnd)) {
-      calculatedVolume = 0;
-
-      log('post-fade-out volume is 0');
+    if (audioGroup.volume !== calculatedVolume) {
+      audioGroup.audio.volume = calculatedVolume;
+      audioGroup.volume = calculatedVolume;
+    }
+  },
 
-    } else if ((sound.fadeOutStart !== sound.fadeOutEnd) && (currentTime >= sound.fadeOutStart) && (currentTime <= sound.fadeOutEnd)) {
-      // ramp down from 100% to 0
-      calculatedVolume = (1 - (currentTime - sound.fadeOutStart) / (sound.fadeOutEnd - sound.fadeOutStart)) * calculatedVolume;
+  // called as playback progresses
+  _updateVolume: function (audioGroup) {
+    if (!audioGroup.gain) {
+      this._setVolume(audioGroup);
 
-      log('ramping ▼ volume', { currentTime: currentTime, currentVolume: currentVolume, calculatedVolume: calculatedVolume, sound: sound });
+    } else if (!audioGroup.fadeOutSynced && (audioGroup.audio.currentTime >= audioGroup.sound.fadeOutStart - FADE_SYNC_SECONDS)) {
+      // the audio element and audio context clocks can drift apart over the
+      // course of a song, so line them up again just before the fade out
+      this._setVolume(audioGroup);
 
     }
+  },
 
-    if (currentVolume !== calculatedVolume) {
-      if (APPLE) {
-        if (!brokenWebkit) {
-          audioGroup.gain.value = calculatedVolume;
-        }
-      } else {
-        audioGroup.audio.volume = calculatedVolume;
-      }
-      audioGroup.volume = calculatedVolume;
+  // keep the volume where it is while the audio group is paused
+  _holdVolume: function (audioGroup) {
+    if (audioGroup && audioGroup.gain) {
+      holdVolume(audioGroup.gain, this.audioContext.currentTime);
     }
   },
 
@@ -638,6 +737,7 @@ Speaker.prototype = {
         this.active.audio.play()
           .then(function () {
             log('resumed playback');
+            speaker._setVolume(speaker.active, sound);
             sound.trigger('play');
 
           })
@@ -651,6 +751,9 @@ Speaker.prototype = {
           this.fading.audio.play()
             .then(function () {
               log('resumed fading playback');
+              if (speaker.fading.sound) {
+                speaker._setVolume(speaker.fading);
+              }
 
             })
             .catch(function () {
@@ -719,11 +822,8 @@ Speaker.prototype = {
           log(sound.id + ' play() succeeded');
           me.sound = sound;
 
-          // configure fade-out now that metadata is loaded
-          if (sound.fadeOutSeconds && (sound.fadeOutEnd === 0)) {
-            sound.fadeOutStart = me.audio.duration - sound.fadeOutSeconds;
-            sound.fadeOutEnd = me.audio.duration;
-          }
+          // configure fade-out and overlap now that metadata is loaded
+          sound.setEnd(me.audio.duration);
 
           if (sound.startPosition) {
             log('updating start position');
@@ -731,6 +831,9 @@ Speaker.prototype = {
             log('updated');
           }
 
+          // now that the duration and position are known, schedule the fades
+          speaker._setVolume(me);
+
           var paused = me.audio.paused;
 
           sound.trigger('play');
@@ -750,6 +853,22 @@ Speaker.prototype = {
     }
   },
 
+  _seekSound: function (sound, ms) {
+    if (this.active && (this.active.sound === sound)) {
+      this.active.audio.currentTime = ms / 1000;
+
+      if (!this.active.audio.paused) {
+        // fades are scheduled relative to the old position
+        this._setVolume(this.active);
+      }
+
+    } else if (this.active && (this.active.audio.src === sound.url)) {
+      // play() hasn't completed yet, so start from the new position when it does
+      sound.startPosition = ms;
+
+    }
+  },
+
   _destroySound: function (sound) {
     sound.off();
 
@@ -782,6 +901,7 @@ Speaker.prototype = {
     if (this.active && (sound.url === this.active.audio.src)) {
       if (this.active.sound === sound) {
         this.active.audio.pause();
+        this._holdVolume(this.active);
       } else {
         // if active.sound isn't assigned, then the song is still being loaded.
         // if we try to pause() right now, it will cause the play() to throw an
@@ -792,6 +912,7 @@ Speaker.prototype = {
 
     if (this.fading && this.fading.audio) {
       this.fading.audio.pause();
+      this._holdVolume(this.fading);
     }
   },
 
@@ -832,6 +953,10 @@ Speaker.prototype = {
         this._setVolume(this.active);
       }
 
+      if (this.fading && this.fading.sound) {
+        this._setVolume(this.fading);
+      }
+
       this.trigger('volume', value);
     }
 
@@ -840,6 +965,30 @@ Speaker.prototype = {
 
   getVolume: function() {
     return this.vol;
+  },
+
+  // music doesn't pass through the audio graph where createMediaElementSource()
+  // is broken, so there's nothing to analyse there
+  getAnalyserNode: function () {
+    return (this.output && !brokenWebkit) ? this.output.analyser : null;
+  },
+
+  setEffects: function (effects) {
+    this.effects = effects;
+
+    if (this.output) {
+      this.output.setEffects(effects);
+    }
+  },
+
+  // ducking goes through the audio graph, so it has no effect where
+  // createMediaElementSource() is broken
+  setDuckLevel: function (level, rampMs) {
+    this.duckLevel = level;
+
+    if (this.output) {
+      this.output.setDuckLevel(level, rampMs);
+    }
   }
 
 };
@@ -847,4 +996,6 @@ Speaker.prototype = {
 // add events to speaker class
 Object.assign(Speaker.prototype, Events);
 
+export { Sound };
+
 export default Speaker;
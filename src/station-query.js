@@ -0,0 +1,65 @@
+/*
+ * Station ids change between sessions, so stations should be found by
+ * name or by the values in their 'options' (see README). These helpers
+ * match stations against a query, which is either a function that is
+ * passed a station and returns true if it matches, or an object such as:
+ *
+ *   { name: '90BPM' }
+ *   { genre: 'rock', bpm: [ 120, 140 ] }
+ *
+ * The 'name' and 'id' keys are compared with the station's own name and
+ * id, and all other keys with values in the station's options. A station
+ * matches when every key matches:
+ *
+ *   - a RegExp matches values it tests true against
+ *   - an array of two numbers, [ min, max ], matches numbers in that range
+ *     (inclusive), or [ min, max ] ranges that overlap it. The API returns
+ *     option values as strings, so values are converted to numbers first
+ *   - anything else matches values that are equal to it, once both have
+ *     been converted to strings, so { id: 276510 } matches the id '276510'
+ */
+
+function toNumber(value) {
+  return ((value === null) || (value === '')) ? NaN : Number(value);
+}
+
+function matchValue(expected, value) {
+  if (typeof value === 'undefined') {
+    return false;
+  }
+
+  if (expected instanceof RegExp) {
+    return expected.test('' + value);
+  }
+
+  if (Array.isArray(expected) && (expected.length === 2)) {
+    let [ min, max ] = expected.map(toNumber);
+
+    if (Array.isArray(value)) {
+      return (toNumber(value[0]) <= max) && (toNumber(value[1]) >= min);
+    }
+
+    let number = toNumber(value);
+
+    return (number >= min) && (number <= max);
+  }
+
+  return ('' + expected) === ('' + value);
+}
+
+export function matchStation(station, query) {
+  if (typeof query === 'function') {
+    return !!query(station);
+  }
+
+  return Object.keys(query).every((key) => {
+    var value = ((key === 'name') || (key === 'id')) ? station[key] : (station.options || {})[key];
+
+    return matchValue(query[key], value);
+  });
+}
+
+// return all the stations in 'stations' that match 'query', in order
+export function findStations(stations, query) {
+  return stations.filter((station) => matchStation(station, query || {}));
+}
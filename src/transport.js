@@ -0,0 +1,57 @@
+/*
+ *  HTTP transport
+ *
+ *  All requests to the feed.fm servers are made through a 'transport',
+ *  which is a function with the same signature as window.fetch:
+ *
+ *    transport(url, request) => Promise resolving to a Response
+ *
+ *  The returned response needs at least 'ok', 'status', 'json()' and
+ *  'text()' members. By default requests are passed straight on to fetch(),
+ *  but a different transport can be installed globally with
+ *  Feed.setTransport(transport), or per instance by passing a 'transport'
+ *  option to the Session, Player, Listener or SimulcastPlayer constructors.
+ *  This lets clients add timeouts, proxies, extra headers or recorded
+ *  responses for testing without touching window.fetch.
+ *
+ *  Like fetch(), a transport only rejects when no response arrives. Responses
+ *  should be passed through checkResponse(), which turns non-2xx responses
+ *  into a rejected ServerError (see errors.js).
+ */
+
+import { ServerError } from './errors';
+
+function fetchTransport(url, request) {
+  return fetch(url, request);
+}
+
+let transport = fetchTransport;
+
+export function getTransport() {
+  return transport;
+}
+
+// pass a falsy value to revert to the default fetch() transport
+export function setTransport(newTransport) {
+  transport = newTransport || fetchTransport;
+}
+
+// resolve with the response if it has a 2xx status, otherwise reject with
+// a ServerError holding the parsed body of the response
+export function checkResponse(response) {
+  if (response.ok) {
+    return Promise.resolve(response);
+  }
+
+  return response.text()
+    .then((text) => {
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        return null;
+      }
+    }, () => null)
+    .then((body) => {
+      throw new ServerError(response.status, body);
+    });
+}
@@ -7,11 +7,13 @@ export function addProtocol(url, secure) {
     } else if (secure === false) {
       url = 'http:' + url;
 
-    } else if (window.location.protocol.substr(0, 4) === 'http') {
+    } else if ((typeof window !== 'undefined') && window.location &&
+               (window.location.protocol.substr(0, 4) === 'http')) {
       url = window.location.protocol + url;
 
     } else {
-      url = 'http';
+      // no page to take the protocol from
+      url = 'https:' + url;
     }
   }
 
@@ -90,3 +92,46 @@ export function repeatAfter(delay, max, cb) {
     cb(delay);
   }, delay);
 }
+
+// Return a promise that settles the next time one of the named events is
+// triggered on 'emitter'. 'resolvers' and 'rejecters' map event names to
+// functions that are passed the event arguments and return the value to
+// resolve with or the error to reject with.
+export function nextEvent(emitter, resolvers, rejecters) {
+  rejecters = rejecters || {};
+
+  let promise = new Promise((resolve, reject) => {
+    let handlers = {};
+
+    let settleWith = (settle, map, name) => function () {
+      emitter.off(handlers);
+      settle(map[name].apply(null, arguments));
+    };
+
+    for (let name of Object.keys(resolvers)) {
+      handlers[name] = settleWith(resolve, resolvers, name);
+    }
+
+    for (let name of Object.keys(rejecters)) {
+      handlers[name] = settleWith(reject, rejecters, name);
+    }
+
+    emitter.on(handlers);
+  });
+
+  // clients that only listen for events shouldn't see unhandled rejections
+  return handled(promise);
+}
+
+// Prevent a rejection of the given promise from being reported as
+// unhandled, and return the promise.
+export function handled(promise) {
+  promise.catch(() => {});
+
+  return promise;
+}
+
+// Return a rejected promise that won't be reported as unhandled
+export function rejected(error) {
+  return handled(Promise.reject(error));
+}
@@ -0,0 +1,19 @@
+/*
+  Run the tests in Node, with the same globals html/test.html
+  gives them in the browser, along with a localStorage. Tests that
+  need a real browser (audio elements, Web Audio or XMLHttpRequest)
+  are skipped. The library is loaded from lib/, so run 'npm run
+  build' first - 'npm test' does that for you.
+*/
+
+global.Feed = require('../lib/index.js');
+global.chai = require('chai');
+global.sinon = require('sinon');
+
+// like the browser's, this stores everything as a string
+global.localStorage = new Proxy({}, {
+  set: (storage, key, value) => {
+    storage[key] = String(value);
+    return true;
+  }
+});
@@ -5,15 +5,21 @@
   'initializeAudio()' method called in respond to a user tap.
 */
 
-let initializeAudio = require('./initialize-audio');
-
 let expect = chai.expect;
 
-window.interactiveStart = function() {
-  initializeAudio();
-};
+// the tests that play real audio only run in the browser (see html/test.html)
+let inBrowser = (typeof window !== 'undefined');
+let describeInBrowser = inBrowser ? describe : describe.skip;
+
+if (inBrowser) {
+  let initializeAudio = require('./initialize-audio');
+
+  window.interactiveStart = function() {
+    initializeAudio();
+  };
+}
 
-describe('Feed.Player integration tests', function () {
+describeInBrowser('Feed.Player integration tests', function () {
 
   var server;
 
@@ -916,6 +922,88 @@ describe('Feed.Player integration tests', function () {
     player.stop();
   });
 
+  it('will resolve play() with the started play and reject skip() when a skip is disallowed', async function () {
+    this.timeout(4000);
+
+    server.autoRespondAfter = 10;
+    server.autoRespond = true;
+
+    server.respondWith('GET', /placement/, function (response) {
+      response.respond(200, { 'Content-Type': 'application/json' }, JSON.stringify(validPlacementResponse()));
+    });
+    var playResponse = validPlayResponse();
+
+    server.respondWith('POST', /play$/, function (response) {
+      response.respond(200, { 'Content-Type': 'application/json' }, JSON.stringify(playResponse));
+    });
+
+    server.respondWith('POST', /start$/, function (response) {
+      response.respond(200, { 'Content-Type': 'application/json' }, JSON.stringify({ success: true, can_skip: true }));
+    });
+
+    server.respondWith('POST', /skip$/, function (response) {
+      response.respond(200, { 'Content-Type': 'application/json' }, JSON.stringify({ success: false }));
+    });
+
+    var player = new Feed.Player('demo', 'demo', { debug: true });
+
+    var play = await player.play();
+
+    expect(play).to.deep.equal(playResponse.play);
+
+    var error = null;
+    try {
+      await player.skip();
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).to.not.be.null;
+    expect(error.event).to.equal('skip-denied');
+
+    player.stop();
+  });
+
+  it('will emit an error event with a FeedError when a skip is disallowed', async function () {
+    this.timeout(4000);
+
+    server.autoRespondAfter = 10;
+    server.autoRespond = true;
+
+    server.respondWith('GET', /placement/, function (response) {
+      response.respond(200, { 'Content-Type': 'application/json' }, JSON.stringify(validPlacementResponse()));
+    });
+
+    server.respondWith('POST', /play$/, function (response) {
+      response.respond(200, { 'Content-Type': 'application/json' }, JSON.stringify(validPlayResponse()));
+    });
+
+    server.respondWith('POST', /start$/, function (response) {
+      response.respond(200, { 'Content-Type': 'application/json' }, JSON.stringify({ success: true, can_skip: true }));
+    });
+
+    server.respondWith('POST', /skip$/, function (response) {
+      response.respond(200, { 'Content-Type': 'application/json' }, JSON.stringify({ success: false }));
+    });
+
+    var player = new Feed.Player('demo', 'demo', { debug: true });
+
+    await player.play();
+
+    var errorEvent = new Promise((resolve) => player.on('error', resolve));
+
+    player.skip().catch(() => { /* reported via the error event */ });
+
+    var error = await errorEvent;
+
+    expect(error).to.be.an.instanceof(Feed.FeedError);
+    expect(error).to.be.an.instanceof(Feed.SkipDeniedError);
+    expect(error.code).to.equal('SkipDenied');
+    expect(error.event).to.equal('skip-denied');
+
+    player.stop();
+  });
+
   it('will will properly report a song being skippable', async function () {
     this.timeout(4000);
 
@@ -1005,57 +1093,1160 @@ describe('Feed.Player integration tests', function () {
 
     player.stop();
   });
-});
 
+  it('will emit invalid-credentials when the placement request is rejected with a 401', async function () {
+    this.timeout(4000);
 
-function newSessionWithClientAndCredentials() {
-  var session = new Feed.Session();
+    server.autoRespondAfter = 10;
+    server.autoRespond = true;
 
-  session._getClientId = () => Promise.resolve('cookie-value');
-  
-  session.setCredentials('x', 'y');
+    server.respondWith('GET', /placement/, function (response) {
+      response.respond(401, { 'Content-Type': 'application/json' }, JSON.stringify({
+        success: false,
+        error: { code: 5, message: 'Invalid credentials' }
+      }));
+    });
 
-  return session;
-}
+    var player = new Feed.Player('demo', 'demo', { debug: true });
 
-const urls = [
-  'https://dgase5ckewowv.cloudfront.net/feedfm-audio/1543381635-50459.mp3',
-  'https://dgase5ckewowv.cloudfront.net/feedfm-audio/1563964895-88514.mp3'
-];
+    var errorEvent = new Promise((resolve) => player.on('error', resolve));
 
-var counter = 0;
-function validPlayResponse(id) {
-  if (!id) { id = counter++; }
+    await new Promise((resolve) => {
+      player.on('invalid-credentials', resolve);
+    });
 
-  return {
-    'success': true,
-    'play': {
-      'id': '' + id,
-      'station': {
-        'id': '599',
-        'name': 'East Bay'
-      },
-      'audio_file': {
-        'id': '665',
-        'duration_in_seconds': '300',
-        'track': {
-          'id': '15224887',
-          'title': 'Brass Monkey'
-        },
-        'release': {
-          'id': '1483477',
-          'title': 'Licensed to Ill'
-        },
-        'artist': {
-          'id': '766824',
-          'name': 'Beastie Boys'
-        },
-        'codec': 'mp3',
-        'bitrate': '128',
-        'url': urls[counter % urls.length]
+    var error = await errorEvent;
+
+    expect(error).to.be.an.instanceof(Feed.InvalidCredentialsError);
+  });
+
+  it('will emit music-unavailable when the play request is rejected with a 403', async function () {
+    this.timeout(4000);
+
+    server.autoRespondAfter = 10;
+    server.autoRespond = true;
+
+    server.respondWith('GET', /placement/, function (response) {
+      response.respond(200, { 'Content-Type': 'application/json' }, JSON.stringify(validPlacementResponse()));
+    });
+
+    server.respondWith('POST', /play$/, function (response) {
+      response.respond(403, { 'Content-Type': 'application/json' }, JSON.stringify({
+        success: false,
+        error: { code: 19, message: 'Feed.fm is not available in your region' }
+      }));
+    });
+
+    var player = new Feed.Player('demo', 'demo', { debug: true });
+
+    var unavailable = new Promise((resolve) => {
+      player.on('music-unavailable', resolve);
+    });
+
+    var error = null;
+    try {
+      await player.play();
+    } catch (e) {
+      error = e;
+    }
+
+    await unavailable;
+
+    expect(error).to.be.an.instanceof(Feed.MusicUnavailableError);
+    expect(error.message).to.equal('Feed.fm is not available in your region');
+    expect(player.getCurrentState()).to.equal('idle');
+  });
+
+  it('will treat a 403 "already started" response to a start request as a successful start', async function () {
+    this.timeout(4000);
+
+    server.autoRespondAfter = 10;
+    server.autoRespond = true;
+
+    server.respondWith('GET', /placement/, function (response) {
+      response.respond(200, { 'Content-Type': 'application/json' }, JSON.stringify(validPlacementResponse()));
+    });
+    var playResponse = validPlayResponse();
+
+    server.respondWith('POST', /play$/, function (response) {
+      response.respond(200, { 'Content-Type': 'application/json' }, JSON.stringify(playResponse));
+    });
+
+    var startCount = 0;
+    server.respondWith('POST', /start$/, function (response) {
+      startCount++;
+      response.respond(403, { 'Content-Type': 'application/json' }, JSON.stringify({
+        success: false,
+        error: { code: 20, message: 'Play already started' }
+      }));
+    });
+
+    var player = new Feed.Player('demo', 'demo', { debug: true });
+
+    var play = await player.play();
+
+    expect(play).to.deep.equal(playResponse.play);
+    expect(startCount).to.equal(1);
+    expect(player.maybeCanSkip()).to.equal(true);
+
+    player.stop();
+  });
+
+  it('will retry the play request after a 500 response', async function () {
+    this.timeout(4000);
+
+    server.autoRespondAfter = 10;
+    server.autoRespond = true;
+
+    server.respondWith('GET', /placement/, function (response) {
+      response.respond(200, { 'Content-Type': 'application/json' }, JSON.stringify(validPlacementResponse()));
+    });
+    var playResponse = validPlayResponse();
+
+    var playCount = 0;
+    server.respondWith('POST', /play$/, function (response) {
+      playCount++;
+
+      if (playCount === 1) {
+        response.respond(500, { 'Content-Type': 'text/html' }, '<html>oops</html>');
+      } else {
+        response.respond(200, { 'Content-Type': 'application/json' }, JSON.stringify(playResponse));
+      }
+    });
+
+    server.respondWith('POST', /start$/, function (response) {
+      response.respond(200, { 'Content-Type': 'application/json' }, JSON.stringify({ success: true, can_skip: true }));
+    });
+
+    var player = new Feed.Player('demo', 'demo', { debug: true });
+
+    var play = await player.play();
+
+    expect(play).to.deep.equal(playResponse.play);
+    expect(playCount).to.equal(2);
+
+    player.stop();
+  });
+
+  it('will play through Web Audio buffers in gapless mode', async function () {
+    this.timeout(10000);
+
+    server.autoRespondAfter = 10;
+    server.autoRespond = true;
+
+    server.respondWith('GET', /placement/, function (response) {
+      response.respond(200, { 'Content-Type': 'application/json' }, JSON.stringify(validPlacementResponse()));
+    });
+    var playResponse = validPlayResponse();
+
+    server.respondWith('POST', /play$/, function (response) {
+      response.respond(200, { 'Content-Type': 'application/json' }, JSON.stringify(playResponse));
+    });
+
+    server.respondWith('POST', /start$/, function (response) {
+      response.respond(200, { 'Content-Type': 'application/json' }, JSON.stringify({ success: true, can_skip: true }));
+    });
+
+    // the fake server only deals in text, so hand out generated audio files
+    Feed.setTransport((url, request) => {
+      if (/\.mp3$/.test(url)) {
+        return Promise.resolve({ ok: true, status: 200, arrayBuffer: () => Promise.resolve(silentWav(5)) });
       }
+
+      return window.fetch(url, request);
+    });
+
+    try {
+      var player = new Feed.Player('demo', 'demo', { debug: true, gapless: true });
+      player.initializeAudio();
+
+      expect(player.speaker).to.be.an.instanceof(Feed.GaplessSpeaker);
+
+      var play = await player.play();
+
+      expect(play).to.deep.equal(playResponse.play);
+
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+
+      expect(player.getCurrentState()).to.equal('playing');
+      expect(player.getPosition()).to.be.above(0);
+
+      player.stop();
+
+    } finally {
+      Feed.setTransport(null);
     }
-  };
+  });
+
+  it('will start the next song right away when skipping before its scheduled crossfade', async function () {
+    this.timeout(10000);
+
+    var feedServer = new Feed.FakeFeedServer({ durationSeconds: 5 });
+
+    Feed.setTransport((url, request) => {
+      if (/\.mp3$/.test(url)) {
+        return Promise.resolve({ ok: true, status: 200, arrayBuffer: () => Promise.resolve(silentWav(5)) });
+      }
+
+      return feedServer.transport(url, request);
+    });
+
+    try {
+      var player = new Feed.Player('demo', 'demo', { gapless: true, secondsOfCrossfade: 2 });
+      player.initializeAudio();
+
+      await player.play();
+
+      // let the upcoming song be prepared and scheduled to start 3 seconds in
+      await new Promise((resolve) => setTimeout(resolve, 500));
+
+      expect(player.speaker._next).to.not.equal(null);
+
+      var nextStarted = new Promise((resolve) => player.once('play-started', resolve));
+
+      await player.skip();
+      await nextStarted;
+
+      await new Promise((resolve) => setTimeout(resolve, 500));
+
+      // the skipped-to song doesn't wait for the crossfade it was scheduled for
+      expect(player.getPosition()).to.be.above(200);
+
+      player.stop();
+
+    } finally {
+      Feed.setTransport(null);
+    }
+  });
+
+  it('will expose an analyser node and trigger audio-frame events while playing', async function () {
+    this.timeout(10000);
+
+    server.autoRespondAfter = 10;
+    server.autoRespond = true;
+
+    server.respondWith('GET', /placement/, function (response) {
+      response.respond(200, { 'Content-Type': 'application/json' }, JSON.stringify(validPlacementResponse()));
+    });
+
+    server.respondWith('POST', /play$/, function (response) {
+      response.respond(200, { 'Content-Type': 'application/json' }, JSON.stringify(validPlayResponse()));
+    });
+
+    server.respondWith('POST', /start$/, function (response) {
+      response.respond(200, { 'Content-Type': 'application/json' }, JSON.stringify({ success: true, can_skip: true }));
+    });
+
+    Feed.setTransport((url, request) => {
+      if (/\.mp3$/.test(url)) {
+        return Promise.resolve({ ok: true, status: 200, arrayBuffer: () => Promise.resolve(silentWav(5)) });
+      }
+
+      return window.fetch(url, request);
+    });
+
+    try {
+      var player = new Feed.Player('demo', 'demo', { gapless: true, audioFrames: true });
+
+      expect(player.getAnalyserNode()).to.equal(null);
+
+      player.initializeAudio();
+
+      expect(player.getAnalyserNode()).to.be.an.instanceof(AnalyserNode);
+
+      var frame = new Promise((resolve) => player.once('audio-frame', resolve));
+
+      await player.play();
+
+      var data = await frame;
+
+      expect(data.frequency).to.have.lengthOf(player.getAnalyserNode().frequencyBinCount);
+      expect(data.waveform).to.have.lengthOf(player.getAnalyserNode().fftSize);
+
+      player.stop();
+
+    } finally {
+      Feed.setTransport(null);
+    }
+  });
+
+  it('will pass music through the configured audio effects', function () {
+    var custom = null;
+
+    var player = new Feed.Player('demo', 'demo', {
+      effects: [ 'bass-boost', { type: 'limiter', threshold: -3 }, (audioContext) => (custom = audioContext.createGain()) ]
+    });
+
+    player.initializeAudio();
+
+    var nodes = player.speaker.output._effectNodes;
+
+    expect(nodes).to.have.lengthOf(5);
+    expect(nodes[0].type).to.equal('lowshelf');
+    expect(nodes[0].gain.value).to.equal(6);
+    expect(nodes[3]).to.be.an.instanceof(DynamicsCompressorNode);
+    expect(nodes[3].threshold.value).to.equal(-3);
+    expect(nodes[4]).to.equal(custom);
+
+    player.setEffects([ 'low-pass' ]);
+
+    nodes = player.speaker.output._effectNodes;
+
+    expect(nodes).to.have.lengthOf(1);
+    expect(nodes[0].type).to.equal('lowpass');
+  });
+
+  it('will play through a PcmSpeaker and write audio to its sink', async function () {
+    this.timeout(4000);
+
+    server.autoRespondAfter = 10;
+    server.autoRespond = true;
+
+    server.respondWith('GET', /placement/, function (response) {
+      response.respond(200, { 'Content-Type': 'application/json' }, JSON.stringify(validPlacementResponse()));
+    });
+    var playResponse = validPlayResponse();
+
+    server.respondWith('POST', /play$/, function (response) {
+      response.respond(200, { 'Content-Type': 'application/json' }, JSON.stringify(playResponse));
+    });
+
+    server.respondWith('POST', /start$/, function (response) {
+      response.respond(200, { 'Content-Type': 'application/json' }, JSON.stringify({ success: true, can_skip: true }));
+    });
+
+    var decodedUrls = [];
+    var writtenFrames = 0;
+
+    var speaker = new Feed.PcmSpeaker({
+      // audio files don't go through the fake server
+      transport: () => Promise.resolve({ ok: true, status: 200, arrayBuffer: () => Promise.resolve(new ArrayBuffer(0)) }),
+      decode: (buffer, url) => {
+        decodedUrls.push(url);
+
+        // 10 seconds of a quiet tone
+        return Promise.resolve({ sampleRate: 8000, channelData: [ new Float32Array(80000).fill(0.25) ] });
+      },
+      sink: {
+        write: (channelData) => { writtenFrames += channelData[0].length; }
+      },
+      bufferMs: 50
+    });
+
+    var player = new Feed.Player('demo', 'demo', { debug: true, speaker: speaker });
+
+    var play = await player.play();
+
+    expect(play).to.deep.equal(playResponse.play);
+    expect(decodedUrls).to.include(playResponse.play.audio_file.url);
+
+    await new Promise((resolve) => setTimeout(resolve, 500));
+
+    expect(player.getCurrentState()).to.equal('playing');
+    expect(writtenFrames).to.be.above(0);
+    expect(player.getPosition()).to.be.above(0);
+
+    player.stop();
+  });
+});
+
+// Stand in for the browser's Media Session API, recording what is published
+// to it, until restore() is called
+function stubMediaSession() {
+  var hadNavigator = (typeof navigator !== 'undefined');
+  var hadMetadata = (typeof MediaMetadata !== 'undefined');
+
+  var stub = {
+    metadata: null,
+    playbackState: 'none',
+    handlers: {},
+    positions: [],
+    setActionHandler: (action, handler) => { stub.handlers[action] = handler; },
+    setPositionState: (state) => { stub.positions.push(state); },
+    restore: () => {
+      delete navigator.mediaSession;
+
+      if (!hadNavigator) {
+        delete globalThis.navigator;
+      }
+
+      if (!hadMetadata) {
+        delete globalThis.MediaMetadata;
+      }
+    }
+  };
+
+  if (!hadNavigator) {
+    globalThis.navigator = {};
+  }
+
+  if (!hadMetadata) {
+    globalThis.MediaMetadata = function (init) {
+      Object.assign(this, init);
+    };
+  }
+
+  Object.defineProperty(navigator, 'mediaSession', { value: stub, configurable: true });
+
+  return stub;
+}
+
+describe('Feed.Player with a MemorySpeaker and FakeFeedServer', function () {
+
+  var server, speaker;
+
+  beforeEach(function () {
+    server = new Feed.FakeFeedServer({ durationSeconds: 10 });
+    Feed.setTransport(server.transport);
+
+    speaker = new Feed.MemorySpeaker({ durationMs: 10000 });
+  });
+
+  afterEach(function () {
+    Feed.setTransport(null);
+    Feed.resetClientId();
+  });
+
+  it('will report elapsed time and completion as the virtual clock advances', async function () {
+    var player = new Feed.Player('demo', 'demo', { speaker: speaker });
+
+    var play = await player.play();
+
+    expect(speaker.getActiveUrl()).to.equal(server.audioUrl(play.id));
+
+    speaker.advance(5000);
+
+    expect(player.getPosition()).to.be.within(4900, 5000);
+
+    var nextStarted = new Promise((resolve) => player.on('play-started', resolve));
+
+    speaker.advance(5000);
+
+    var next = await nextStarted;
+
+    expect(next.id).to.not.equal(play.id);
+    expect(server.plays[play.id].completed).to.equal(true);
+
+    player.stop();
+  });
+
+  it('will invalidate a play whose audio fails to load and move on to the next', async function () {
+    speaker.failLoad(server.audioUrl('1'));
+
+    var player = new Feed.Player('demo', 'demo', { speaker: speaker });
+
+    var play = await player.play();
+
+    expect(play.id).to.equal('2');
+    expect(server.plays['1'].invalidated).to.equal(true);
+
+    player.stop();
+  });
+
+  it('will shape fades with the selected fade curve', async function () {
+    var samples = [];
+    speaker = new Feed.MemorySpeaker({
+      durationMs: 10000,
+      sink: { write: (channelData) => { samples.push(...channelData[0]); } }
+    });
+
+    var player = new Feed.Player('demo', 'demo', {
+      speaker: speaker,
+      secondsOfCrossfade: 4,
+      crossfadeIn: true,
+      fadeCurve: 'equal-power'
+    });
+
+    await player.play();
+
+    speaker.advance(3000);
+
+    // one sample per millisecond, so this is 2 seconds into a 4 second fade in
+    expect(samples[0]).to.equal(0);
+    expect(samples[2000]).to.be.within(0.69, 0.72);
+
+    player.stop();
+  });
+
+  it('will use the transition style from the station options', async function () {
+    server = new Feed.FakeFeedServer({
+      durationSeconds: 10,
+      stations: [ { id: '1', name: 'Mix station', on_demand: 0, options: { transition_style: 'mix', mix_seconds: 3 } } ]
+    });
+    Feed.setTransport(server.transport);
+
+    var samples = [];
+    speaker = new Feed.MemorySpeaker({
+      durationMs: 10000,
+      sink: { write: (channelData) => { samples.push(...channelData[0]); } }
+    });
+
+    var player = new Feed.Player('demo', 'demo', { speaker: speaker, secondsOfCrossfade: 1 });
+
+    await player.play();
+
+    // give the player a chance to start the next song as we go
+    for (let i = 0; i < 90; i++) {
+      speaker.advance(100);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+
+    expect(player.transitionStyle).to.equal('mix');
+
+    // the next song starts 3 seconds before the end, at full volume, and
+    // the first song only fades out over its last second
+    expect(samples[6500]).to.equal(1);
+    expect(samples[7500]).to.equal(2);
+    expect(samples[8500]).to.equal(2);
+
+    player.stop();
+  });
+
+  it('will keep a history of recent plays and listening stats', async function () {
+    var player = new Feed.Player('demo', 'demo', { speaker: speaker });
+
+    var first = await player.play();
+
+    // play the first song all the way through
+    for (let i = 0; i < 110; i++) {
+      speaker.advance(100);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+
+    await player.like();
+
+    speaker.advance(2000);
+
+    var thirdStarted = new Promise((resolve) => player.once('play-started', resolve));
+
+    await player.skip();
+
+    var third = await thirdStarted;
+
+    await player.stop();
+
+    var history = player.getHistory();
+
+    expect(history).to.have.lengthOf(3);
+
+    expect(history[2].play.id).to.equal(first.id);
+    expect(history[2].outcome).to.equal('completed');
+    expect(history[2].listenedMs).to.be.within(9900, 10000);
+    expect(history[2].liked).to.equal(null);
+
+    expect(history[1].outcome).to.equal('skipped');
+    expect(history[1].liked).to.equal(true);
+    expect(history[1].endedAt).to.be.at.least(history[1].startedAt);
+
+    expect(history[0].play.id).to.equal(third.id);
+    expect(history[0].outcome).to.equal('stopped');
+
+    var stats = player.getStats();
+
+    expect(stats.plays).to.equal(3);
+    expect(stats.completed).to.equal(1);
+    expect(stats.skipped).to.equal(1);
+    expect(stats.stopped).to.equal(1);
+    expect(stats.listenedMs).to.equal(history.reduce((total, entry) => total + entry.listenedMs, 0));
+  });
+
+  it('will count down the skips left and report when skipping is disallowed', async function () {
+    var player = new Feed.Player('demo', 'demo', { speaker: speaker });
+    var statuses = [];
+
+    player.on('skip-status-changed', (status) => statuses.push(status));
+
+    await player.play();
+
+    expect(player.getSkipStatus()).to.deep.equal({ canSkip: true, remaining: 6, resetsAt: null });
+
+    var secondStarted = new Promise((resolve) => player.once('play-started', resolve));
+
+    await player.skip();
+    await secondStarted;
+
+    var status = player.getSkipStatus();
+
+    expect(status.canSkip).to.equal(true);
+    expect(status.remaining).to.equal(5);
+    expect(status.resetsAt).to.be.within(Date.now() + 59 * 60 * 1000, Date.now() + 60 * 60 * 1000);
+
+    server.setCanSkip(false);
+
+    var error = null;
+    try {
+      await player.skip();
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.code).to.equal('SkipDenied');
+    expect(player.getSkipStatus()).to.deep.equal({ canSkip: false, remaining: 0, resetsAt: status.resetsAt });
+    expect(player.getStats().skipsRemaining).to.equal(0);
+    expect(statuses[statuses.length - 1]).to.deep.equal(player.getSkipStatus());
+
+    player.stop();
+  });
+
+  it('will not leave unhandled rejections when reports fail', async function () {
+    // unhandled rejections are only visible to us in Node
+    if (typeof process === 'undefined') {
+      this.skip();
+    }
+
+    var unhandled = [];
+    var onUnhandled = (reason) => unhandled.push(reason);
+
+    process.on('unhandledRejection', onUnhandled);
+
+    try {
+      var longSpeaker = new Feed.MemorySpeaker({ durationMs: 60000 });
+      var player = new Feed.Player('demo', 'demo', { speaker: longSpeaker, simulcast: 'simulcast-id' });
+
+      [ '/elapse', '/complete', '/like', '/like', '/elapse' ].forEach((path) => server.failNext(path));
+
+      await player.play();
+
+      // the 30 second elapse report fails
+      longSpeaker.advance(31000);
+
+      player.like();
+      player.unlike();
+
+      // the completion report fails
+      var nextStarted = new Promise((resolve) => player.once('play-started', resolve));
+      longSpeaker.advance(30000);
+      await nextStarted;
+
+      // as does the final elapse report
+      player.stop();
+
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      expect(server.requestsTo('/elapse')).to.have.lengthOf(2);
+      expect(server.requestsTo('/complete')).to.have.lengthOf(1);
+      expect(server.requestsTo('/like')).to.have.lengthOf(2);
+      expect(server.requestsTo('/in-progress')).to.not.be.empty;
+      expect(unhandled).to.deep.equal([]);
+
+    } finally {
+      process.removeListener('unhandledRejection', onUnhandled);
+    }
+  });
+
+  it('will not leave unhandled rejections when simulcast event logging fails', async function () {
+    // unhandled rejections are only visible to us in Node
+    if (typeof process === 'undefined') {
+      this.skip();
+    }
+
+    var unhandled = [];
+    var onUnhandled = (reason) => unhandled.push(reason);
+
+    process.on('unhandledRejection', onUnhandled);
+
+    try {
+      server.failNext('/session/event', 500);
+      server.failNext('/session/event', 500);
+
+      var simulcast = new Feed.SimulcastPlayer('simulcast-id', { speaker: speaker });
+      var connected = new Promise((resolve) => simulcast.on('state-changed', (state) => (state === 'connected') && resolve()));
+
+      simulcast.connect();
+      await connected;
+
+      // the stream ends, so the player logs its events and reconnects
+      speaker.advance(10000);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      simulcast.disconnect();
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(server.requestsTo('/session/event')).to.have.lengthOf(2);
+      expect(unhandled).to.deep.equal([]);
+
+    } finally {
+      process.removeListener('unhandledRejection', onUnhandled);
+    }
+  });
+
+  it('will report failed simulcast metadata requests as errors', async function () {
+    var offline = true;
+
+    var simulcast = new Feed.SimulcastPlayer('simulcast-id', {
+      speaker: speaker,
+      transport: (url, request) => {
+        if (offline && /\/simulcast-id\/play/.test(url)) {
+          return Promise.reject(new Error('offline'));
+        }
+
+        // the fake server doesn't know about simulcast streams, so it 404s
+        return server.transport(url, request);
+      }
+    });
+
+    var nextError = () => new Promise((resolve) => simulcast.once('error', resolve));
+
+    var error = nextError();
+    simulcast.connect();
+
+    expect(await error).to.be.an.instanceof(Feed.NetworkError);
+    expect((await error).reason).to.equal('failed');
+
+    simulcast.disconnect();
+
+    offline = false;
+    error = nextError();
+    simulcast.connect();
+
+    expect(await error).to.be.an.instanceof(Feed.ServerError);
+    expect((await error).status).to.equal(404);
+
+    simulcast.disconnect();
+  });
+
+  it('will stop triggering audio-frame events once destroyed', async function () {
+    var analyser = {
+      frequencyBinCount: 4,
+      fftSize: 8,
+      getByteFrequencyData: function () { },
+      getByteTimeDomainData: function () { }
+    };
+
+    speaker.getAnalyserNode = () => analyser;
+
+    var player = new Feed.Player('demo', 'demo', { speaker: speaker, audioFrames: true });
+    var frames = 0;
+
+    var frame = new Promise((resolve) => player.once('audio-frame', resolve));
+    player.on('audio-frame', () => frames++);
+
+    await player.play();
+    await frame;
+
+    player.destroy();
+
+    var framesAtDestroy = frames;
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(frames).to.equal(framesAtDestroy);
+    expect(player._audioFrameRequest).to.equal(null);
+  });
+
+  it('will leave skipping up to the server when it thinks no skips are left', async function () {
+    var player = new Feed.Player('demo', 'demo', { speaker: speaker, skipsPerHour: 1 });
+
+    await player.play();
+
+    var secondStarted = new Promise((resolve) => player.once('play-started', resolve));
+
+    await player.skip();
+    await secondStarted;
+
+    var status = player.getSkipStatus();
+
+    expect(status.remaining).to.equal(0);
+    expect(status.canSkip).to.equal(true);
+
+    var thirdStarted = new Promise((resolve) => player.once('play-started', resolve));
+
+    await player.skip();
+    await thirdStarted;
+
+    player.stop();
+  });
+
+  it('will find stations by name or options and tune to them', async function () {
+    server = new Feed.FakeFeedServer({
+      durationSeconds: 10,
+      stations: [
+        { id: '1', name: 'Chill', on_demand: 0, options: { genre: 'ambient', bpm: 90 } },
+        { id: '2', name: 'Rock Run', on_demand: 0, options: { genre: 'rock', bpm: 150 } },
+        { id: '3', name: 'Rock Walk', on_demand: 0, options: { genre: 'rock', bpm: [ 115, 125 ] } }
+      ]
+    });
+    Feed.setTransport(server.transport);
+
+    var player = new Feed.Player('demo', 'demo', { speaker: speaker });
+
+    await player.tune();
+
+    expect((await player.findStation({ name: 'Rock Run' })).id).to.equal('2');
+    expect(await player.findStation({ name: 'Polka' })).to.equal(null);
+
+    var rock = await player.findStations({ genre: 'rock', bpm: [ 120, 140 ] });
+    expect(rock.map((station) => station.id)).to.deep.equal([ '3' ]);
+
+    var other = await player.findStations((station) => station.options.genre !== 'rock');
+    expect(other.map((station) => station.id)).to.deep.equal([ '1' ]);
+
+    var play = await player.setStation({ name: /walk/i });
+    expect(play.station.id).to.equal('3');
+
+    var error = null;
+    try {
+      await player.setStation({ name: 'Polka' });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).to.be.an('error');
+
+    player.stop();
+  });
+
+  it('will match number ranges against option values that are strings', async function () {
+    server = new Feed.FakeFeedServer({
+      durationSeconds: 10,
+      stations: [
+        { id: '1', name: 'Chill', on_demand: 0, options: { bpm: '90' } },
+        { id: '2', name: 'Rock Run', on_demand: 0, options: { bpm: '150' } },
+        { id: '3', name: 'Rock Walk', on_demand: 0, options: { bpm: [ '115', '125' ] } },
+        { id: '4', name: 'Unknown', on_demand: 0, options: { bpm: '' } }
+      ]
+    });
+    Feed.setTransport(server.transport);
+
+    var player = new Feed.Player('demo', 'demo', { speaker: speaker });
+
+    await player.tune();
+
+    var fast = await player.findStations({ bpm: [ 120, 160 ] });
+    expect(fast.map((station) => station.id)).to.deep.equal([ '2', '3' ]);
+
+    var slow = await player.findStations({ bpm: [ 0, 100 ] });
+    expect(slow.map((station) => station.id)).to.deep.equal([ '1' ]);
+
+    player.stop();
+  });
+
+  it('will remember the selected station and select it again in a new player', async function () {
+    server = new Feed.FakeFeedServer({
+      durationSeconds: 10,
+      stations: [
+        { id: '1', name: 'Chill', on_demand: 0, options: { key: 'chill' } },
+        { id: '2', name: 'Rock', on_demand: 0, options: { key: 'rock' } }
+      ]
+    });
+    Feed.setTransport(server.transport);
+
+    if (typeof localStorage === 'undefined') {
+      this.skip();
+    }
+
+    delete localStorage['feed-station'];
+
+    var player = new Feed.Player('demo', 'demo', { speaker: speaker, rememberStation: 'key' });
+
+    await player.tune();
+    await player.setStationId('2');
+    await player.stop();
+
+    // station ids change between sessions
+    server.stations = [
+      { id: '3', name: 'Chill', on_demand: 0, options: { key: 'chill' } },
+      { id: '4', name: 'Rock', on_demand: 0, options: { key: 'rock' } }
+    ];
+
+    var requests = server.requestsTo('/play').length;
+
+    player = new Feed.Player('demo', 'demo', { speaker: speaker, rememberStation: 'key' });
+
+    var play = await player.play();
+
+    expect(play.station.id).to.equal('4');
+    expect(server.requestsTo('/play')[requests].body.station_id).to.equal('4');
+
+    await player.stop();
+
+    // fall back to the default station when the remembered one is gone
+    server.stations = [
+      { id: '5', name: 'Chill', on_demand: 0, options: { key: 'chill' } }
+    ];
+
+    player = new Feed.Player('demo', 'demo', { speaker: speaker, rememberStation: 'key' });
+
+    play = await player.play();
+
+    expect(play.station.id).to.equal('5');
+
+    player.stop();
+
+    delete localStorage['feed-station'];
+  });
+
+  it('will switch placements, and keep playing when a placement is unavailable', async function () {
+    server = new Feed.FakeFeedServer({
+      durationSeconds: 10,
+      placements: [
+        { id: '2', name: 'Gym', stations: [ { id: '20', name: 'Gym floor', on_demand: 0, options: {} } ] }
+      ]
+    });
+    Feed.setTransport(server.transport);
+
+    var player = new Feed.Player('demo', 'demo', { speaker: speaker });
+    var placements = [];
+
+    player.on('placement', (placement) => placements.push(placement.id));
+
+    var play = await player.play();
+
+    expect(play.station.id).to.equal('1');
+
+    play = await player.setPlacementId('2');
+
+    expect(play.station.id).to.equal('20');
+    expect(placements).to.deep.equal([ '1', '2' ]);
+    expect((await player.getStations()).map((station) => station.id)).to.deep.equal([ '20' ]);
+
+    var unavailable = sinon.spy();
+    player.on('placement-unavailable', unavailable);
+
+    var error = null;
+    try {
+      await player.setPlacementId('3');
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.code).to.equal('PlacementUnavailable');
+    expect(unavailable.callCount).to.equal(1);
+    expect(player.getActivePlay()).to.equal(play);
+
+    player.stop();
+  });
+
+  it('will seek within songs from on-demand stations only', async function () {
+    server = new Feed.FakeFeedServer({
+      durationSeconds: 10,
+      stations: [
+        { id: '1', name: 'On demand', on_demand: 1, options: {} },
+        { id: '2', name: 'Radio', on_demand: 0, options: {} }
+      ]
+    });
+    Feed.setTransport(server.transport);
+
+    var player = new Feed.Player('demo', 'demo', { speaker: speaker });
+
+    var play = await player.play();
+
+    speaker.advance(1000);
+
+    expect(await player.seek(6000)).to.equal(6000);
+    expect(player.getPosition()).to.equal(6000);
+
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(server.plays[play.id].elapsed).to.equal(6);
+
+    // clamped to the start of the song
+    expect(await player.seek(-500)).to.equal(0);
+
+    await player.setStationId('2');
+
+    try {
+      await player.seek(1000);
+      expect.fail('seek should have been refused');
+    } catch (e) {
+      expect(e).to.be.an.instanceof(Feed.SeekNotAllowedError);
+      expect(e.code).to.equal('SeekNotAllowed');
+    }
+
+    player.stop();
+  });
+
+  it('will publish the current play to the media session', async function () {
+    server = new Feed.FakeFeedServer({
+      durationSeconds: 10,
+      stations: [ { id: '1', name: 'On demand', on_demand: 1, options: {} } ]
+    });
+    Feed.setTransport(server.transport);
+
+    var mediaSession = stubMediaSession();
+
+    try {
+      var player = new Feed.Player('demo', 'demo', { speaker: speaker });
+      var published = new Feed.MediaSession(player);
+
+      var play = await player.play();
+
+      expect(mediaSession.metadata.title).to.equal(play.audio_file.track.title);
+      expect(mediaSession.metadata.artist).to.equal(play.audio_file.artist.name);
+      expect(mediaSession.metadata.album).to.equal(play.audio_file.release.title);
+      expect(mediaSession.playbackState).to.equal('playing');
+      expect(mediaSession.handlers.nexttrack).to.be.a('function');
+
+      speaker.advance(1000);
+      await player.seek(6000);
+
+      expect(mediaSession.positions[mediaSession.positions.length - 1].position).to.equal(6);
+
+      await player.pause();
+
+      expect(mediaSession.playbackState).to.equal('paused');
+
+      // the skip is denied, so skipping is no longer offered
+      server.setCanSkip(false);
+      await player.skip().catch(() => null);
+
+      expect(mediaSession.handlers.nexttrack).to.equal(null);
+
+      published.destroy();
+
+      expect(mediaSession.metadata).to.equal(null);
+
+      player.stop();
+
+    } finally {
+      mediaSession.restore();
+    }
+  });
+
+  it('will duck the music without changing the volume', async function () {
+    var samples = [];
+    speaker = new Feed.MemorySpeaker({
+      durationMs: 10000,
+      sink: { write: (channelData) => { samples.push(...channelData[0]); } }
+    });
+
+    var player = new Feed.Player('demo', 'demo', { speaker: speaker });
+
+    await player.play();
+
+    speaker.advance(1000);
+
+    var finishTalking;
+    var talking = new Promise((resolve) => { finishTalking = resolve; });
+    var ducked = player.duckWhile(talking, 0.5, { attackMs: 200, releaseMs: 200 });
+
+    speaker.advance(1000);
+
+    expect(samples[500]).to.equal(1);
+    expect(samples[1500]).to.equal(0.5);
+    expect(player.getVolume()).to.equal(100);
+
+    finishTalking('done');
+    expect(await ducked).to.equal('done');
+
+    speaker.advance(1000);
+
+    expect(samples[2500]).to.equal(1);
+
+    player.duck(0.2, { attackMs: 0 });
+    speaker.advance(500);
+
+    expect(samples[3200]).to.be.closeTo(0.2, 0.001);
+
+    player.stop();
+  });
+
+  it('will stop auto-ducking once destroyed', async function () {
+    var listeners = [];
+
+    // just enough of an HTMLMediaElement
+    var element = {
+      paused: true,
+      ended: false,
+      addEventListener: (event, listener) => listeners.push(listener),
+      removeEventListener: (event, listener) => {
+        listeners = listeners.filter((l) => l !== listener);
+      }
+    };
+
+    var player = new Feed.Player('demo', 'demo', { speaker: speaker });
+
+    await player.play();
+
+    player.autoDuck(element, 0.5);
+
+    expect(listeners).to.not.be.empty;
+
+    player.destroy();
+
+    expect(listeners).to.be.empty;
+  });
+});
+
+
+function newSessionWithClientAndCredentials() {
+  var session = new Feed.Session();
+
+  session._getClientId = () => Promise.resolve('cookie-value');
+  
+  session.setCredentials('x', 'y');
+
+  return session;
+}
+
+const urls = [
+  'https://dgase5ckewowv.cloudfront.net/feedfm-audio/1543381635-50459.mp3',
+  'https://dgase5ckewowv.cloudfront.net/feedfm-audio/1563964895-88514.mp3'
+];
+
+var counter = 0;
+function validPlayResponse(id) {
+  if (!id) { id = counter++; }
+
+  return {
+    'success': true,
+    'play': {
+      'id': '' + id,
+      'station': {
+        'id': '599',
+        'name': 'East Bay'
+      },
+      'audio_file': {
+        'id': '665',
+        'duration_in_seconds': '300',
+        'track': {
+          'id': '15224887',
+          'title': 'Brass Monkey'
+        },
+        'release': {
+          'id': '1483477',
+          'title': 'Licensed to Ill'
+        },
+        'artist': {
+          'id': '766824',
+          'name': 'Beastie Boys'
+        },
+        'codec': 'mp3',
+        'bitrate': '128',
+        'url': urls[counter % urls.length]
+      }
+    }
+  };
+}
+
+// a WAV file holding 'seconds' of silence
+function silentWav(seconds) {
+  var sampleRate = 8000;
+  var samples = seconds * sampleRate;
+  var buffer = new ArrayBuffer(44 + samples * 2);
+  var view = new DataView(buffer);
+
+  var writeString = (offset, string) => {
+    for (var i = 0; i < string.length; i++) {
+      view.setUint8(offset + i, string.charCodeAt(i));
+    }
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + samples * 2, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeString(36, 'data');
+  view.setUint32(40, samples * 2, true);
+
+  return buffer;
 }
 
 const STATION_ONE_ID = '222';
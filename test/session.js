@@ -0,0 +1,744 @@
+/*global it:false describe:false, chai:false, sinon:false */
+
+/*
+  Tests of the Session on its own, talking to a FakeFeedServer. These
+  don't play any audio, so they run in Node as well as the browser.
+*/
+
+let expect = chai.expect;
+
+// let any responses that are on their way arrive
+function settle(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms || 20));
+}
+
+describe('Feed.Session with a FakeFeedServer', function () {
+
+  var server;
+
+  beforeEach(function () {
+    server = new Feed.FakeFeedServer({ durationSeconds: 10 });
+    Feed.setTransport(server.transport);
+  });
+
+  afterEach(function () {
+    Feed.setTransport(null);
+    Feed.resetClientId();
+  });
+
+  it('will make requests through the transport set with Feed.setTransport', async function () {
+    var urls = [];
+
+    Feed.setTransport((url, request) => {
+      urls.push(url);
+      return server.transport(url, request);
+    });
+
+    var session = new Feed.Session('demo', 'demo');
+    var play = await session.tune();
+
+    expect(urls.some((url) => /\/api\/v2\/placement/.test(url))).to.equal(true);
+    expect(urls.some((url) => /\/play$/.test(url))).to.equal(true);
+    expect(play.id).to.equal('1');
+
+    session.destroy();
+  });
+
+  it('will prefer a transport passed to the constructor over the global one', async function () {
+    var urls = [];
+
+    Feed.setTransport((url) => {
+      throw new Error('the global transport should not be used for ' + url);
+    });
+
+    var session = new Feed.Session('demo', 'demo', {
+      transport: (url, request) => {
+        urls.push(url);
+        return server.transport(url, request);
+      }
+    });
+
+    await session.tune();
+
+    expect(urls.some((url) => /\/api\/v2\/placement/.test(url))).to.equal(true);
+    expect(urls.some((url) => /\/play$/.test(url))).to.equal(true);
+    expect(urls.some((url) => /\/client$/.test(url))).to.equal(true);
+
+    session.destroy();
+  });
+
+  it('will turn error responses into a ServerError', async function () {
+    var session = new Feed.Session('demo', 'demo');
+    var play = await session.tune();
+
+    server.failNext('/like', 403);
+
+    var error = await session.likePlay(play.id).catch((e) => e);
+
+    expect(error).to.be.an.instanceof(Feed.ServerError);
+    expect(error.status).to.equal(403);
+    expect(error.serverCode).to.equal(0);
+    expect(error.message).to.equal('forced failure');
+    expect(error.body.success).to.equal(false);
+
+    session.destroy();
+  });
+
+  it('will turn error responses without a JSON body into a ServerError', async function () {
+    var session = new Feed.Session('demo', 'demo', {
+      transport: (url, request) => {
+        if (/\/like$/.test(url)) {
+          return Promise.resolve({
+            ok: false,
+            status: 502,
+            json: () => Promise.reject(new Error('not JSON')),
+            text: () => Promise.resolve('<html>Bad Gateway</html>')
+          });
+        }
+
+        return server.transport(url, request);
+      }
+    });
+
+    var play = await session.tune();
+    var error = await session.likePlay(play.id).catch((e) => e);
+
+    expect(error).to.be.an.instanceof(Feed.ServerError);
+    expect(error.status).to.equal(502);
+    expect(error.serverCode).to.equal(null);
+    expect(error.body).to.equal(null);
+    expect(error.message).to.equal('server responded with status 502');
+
+    session.destroy();
+  });
+
+  it('will treat a request that takes too long as failed and try again', async function () {
+    var playRequests = 0;
+
+    Feed.setTransport((url, request) => {
+      if (/\/play$/.test(url) && (++playRequests === 1)) {
+        // never answer
+        return new Promise(() => {});
+      }
+
+      return server.transport(url, request);
+    });
+
+    var session = new Feed.Session('demo', 'demo', { timeouts: { play: 50 } });
+    var errors = [];
+
+    session.on('error', (error) => errors.push(error));
+
+    var play = await session.tune();
+
+    expect(play.id).to.equal('1');
+    expect(playRequests).to.equal(2);
+    expect(errors).to.have.lengthOf(1);
+    expect(errors[0]).to.be.an.instanceof(Feed.NetworkError);
+    expect(errors[0].reason).to.equal('timeout');
+
+    session.destroy();
+  });
+
+  it('will abort outstanding requests when stopped', async function () {
+    var signal = null;
+    var respond = null;
+
+    Feed.setTransport((url, request) => {
+      if (/\/play$/.test(url)) {
+        signal = request.signal;
+
+        return new Promise((resolve) => {
+          respond = () => resolve(server.transport(url, request));
+        });
+      }
+
+      return server.transport(url, request);
+    });
+
+    var session = new Feed.Session('demo', 'demo');
+    var activated = [];
+
+    session.on('play-active', (play) => activated.push(play));
+
+    session.tune();
+    await settle();
+
+    expect(signal.aborted).to.equal(false);
+
+    session.reportPlayStopped(0);
+
+    expect(signal.aborted).to.equal(true);
+
+    // the response arrives after all
+    respond();
+    await settle();
+
+    expect(activated).to.be.empty;
+    expect(session.getActivePlay()).to.equal(null);
+
+    session.destroy();
+  });
+
+  it('will hold reports while offline and replay them with their original times', async function () {
+    var offline = false;
+
+    Feed.setTransport((url, request) => {
+      if (offline && /\/play\/[^/]+\/(elapse|like|dislike)$/.test(url)) {
+        return Promise.reject(new Error('offline'));
+      }
+
+      return server.transport(url, request);
+    });
+
+    var session = new Feed.Session('demo', 'demo');
+    var play = await session.tune();
+    await session.reportPlayStarted();
+
+    offline = true;
+
+    var before = Date.now();
+
+    expect(await session.reportPlayElapsed(5)).to.equal(null);
+    expect(await session.likePlay(play.id)).to.equal(null);
+
+    // this replaces the like
+    expect(await session.dislikePlay(play.id)).to.equal(null);
+
+    var after = Date.now();
+
+    expect(server.requestsTo('/elapse')).to.be.empty;
+    expect(server.requestsTo('/dislike')).to.be.empty;
+
+    session.destroy();
+
+    offline = false;
+
+    // a new session (after a page reload, say) sends what was held back
+    var reloaded = new Feed.Session('demo', 'demo');
+    await settle();
+
+    var elapse = server.requestsTo('/elapse');
+
+    expect(elapse).to.have.lengthOf(1);
+    expect(elapse[0].body.seconds).to.equal(5);
+    expect(Date.parse(elapse[0].body.timestamp)).to.be.within(before, after);
+
+    expect(server.requestsTo('/like')).to.be.empty;
+    expect(server.requestsTo('/dislike')).to.have.lengthOf(1);
+    expect(server.plays[play.id].disliked).to.equal(true);
+
+    reloaded.destroy();
+  });
+
+  it('will only replay reports made with the same credentials', async function () {
+    var offline = false;
+
+    Feed.setTransport((url, request) => {
+      if (offline && /\/play\/[^/]+\/elapse$/.test(url)) {
+        return Promise.reject(new Error('offline'));
+      }
+
+      return server.transport(url, request);
+    });
+
+    var session = new Feed.Session('demo', 'demo');
+    await session.tune();
+    await session.reportPlayStarted();
+
+    offline = true;
+    expect(await session.reportPlayElapsed(5)).to.equal(null);
+    session.destroy();
+    offline = false;
+
+    var other = new Feed.Session('other', 'other');
+    await settle();
+
+    expect(server.requestsTo('/elapse')).to.be.empty;
+
+    other.destroy();
+
+    var same = new Feed.Session('demo', 'demo');
+    await settle();
+
+    expect(server.requestsTo('/elapse')).to.have.lengthOf(1);
+
+    same.destroy();
+  });
+
+  it('will keep trying to replay reports while the server is unreachable', async function () {
+    var clock = sinon.useFakeTimers();
+    var offline = false;
+
+    try {
+      Feed.setTransport((url, request) => {
+        if (offline && /\/play\/[^/]+\/elapse$/.test(url)) {
+          return Promise.reject(new Error('offline'));
+        }
+
+        return server.transport(url, request);
+      });
+
+      var session = new Feed.Session('demo', 'demo');
+      var tuned = session.tune();
+      await clock.tickAsync(100);
+      await tuned;
+      await session.reportPlayStarted();
+
+      offline = true;
+      expect(await session.reportPlayElapsed(5)).to.equal(null);
+      session.destroy();
+
+      // the browser still thinks it is online, so only a timer will retry
+      var reloaded = new Feed.Session('demo', 'demo');
+      await clock.tickAsync(100);
+
+      expect(server.requestsTo('/elapse')).to.be.empty;
+
+      offline = false;
+      await clock.tickAsync(5000);
+
+      expect(server.requestsTo('/elapse')).to.have.lengthOf(1);
+
+      reloaded.destroy();
+
+    } finally {
+      clock.restore();
+    }
+  });
+
+  it('will not hold reports the server refuses', async function () {
+    var session = new Feed.Session('demo', 'demo');
+    var play = await session.tune();
+
+    server.failNext('/like', 500);
+
+    var error = await session.likePlay(play.id).catch((e) => e);
+
+    expect(error).to.be.an.instanceof(Feed.ServerError);
+
+    // the next report goes straight out, since nothing is queued
+    await session.likePlay(play.id);
+
+    expect(server.requestsTo('/like')).to.have.lengthOf(2);
+    expect(server.plays[play.id].liked).to.equal(true);
+
+    session.destroy();
+  });
+
+  it('will describe the play queue and announce changes to it', async function () {
+    var session = new Feed.Session('demo', 'demo');
+    var states = [];
+
+    session.on('queue-changed', (state) => states.push(state));
+
+    expect(session.getQueueState()).to.deep.equal({
+      current: null,
+      started: false,
+      upcoming: null,
+      upcomingPlays: [],
+      waiting: false
+    });
+
+    var play = await session.tune();
+    await session.reportPlayStarted();
+    await settle();
+
+    var upcoming = session.getUpcomingPlay();
+
+    expect(upcoming).to.not.equal(null);
+    expect(session.getQueueState()).to.deep.equal({
+      current: play,
+      started: true,
+      upcoming: upcoming,
+      upcomingPlays: [ upcoming ],
+      waiting: false
+    });
+
+    // we waited for the first play, and then for the upcoming one
+    expect(states.filter((state) => state.waiting)).to.have.lengthOf(2);
+    expect(states[states.length - 1]).to.deep.equal(session.getQueueState());
+
+    var count = states.length;
+
+    await session.requestSkip();
+
+    expect(states.length).to.be.above(count);
+    expect(states[count].current).to.equal(upcoming);
+    expect(states[count].started).to.equal(false);
+    expect(states[count].upcoming).to.equal(null);
+
+    // nothing changed, so nothing is announced
+    count = states.length;
+    session._queueChanged();
+    expect(states).to.have.lengthOf(count);
+
+    session.destroy();
+  });
+
+  it('will keep several plays queued up, but only prepare the next one', async function () {
+    var session = new Feed.Session('demo', 'demo', { lookahead: 3 });
+    var prepared = [];
+
+    session.on('prepare-sound', (url) => prepared.push(url));
+
+    await session.tune();
+    await session.reportPlayStarted();
+    await settle();
+
+    var upcoming = session.getUpcomingPlays();
+
+    expect(upcoming).to.have.lengthOf(3);
+
+    // the first play was prepared on its way to becoming active
+    expect(prepared.slice(1)).to.deep.equal([ upcoming[0].audio_file.url ]);
+
+    prepared = [];
+
+    await session.reportPlayCompleted();
+
+    expect(prepared).to.deep.equal([ upcoming[1].audio_file.url ]);
+
+    session.destroy();
+  });
+
+  it('will stop asking for more upcoming plays once the server refuses to create them', async function () {
+    var playRequests = 0;
+
+    Feed.setTransport((url, request) => {
+      if (/\/play$/.test(url) && (++playRequests === 3)) {
+        // refuse to create a second upcoming play
+        server.failNext('/play', 429);
+      }
+
+      return server.transport(url, request);
+    });
+
+    var session = new Feed.Session('demo', 'demo', { lookahead: 3 });
+
+    await session.tune();
+    await session.reportPlayStarted();
+    await settle();
+
+    expect(session.getUpcomingPlays()).to.have.lengthOf(1);
+    expect(server.requestsTo('/play')).to.have.lengthOf(3);
+
+    await session.reportPlayCompleted();
+    await session.reportPlayStarted();
+    await settle();
+
+    expect(session.getUpcomingPlays()).to.have.lengthOf(1);
+    expect(server.requestsTo('/play')).to.have.lengthOf(4);
+
+    session.destroy();
+  });
+
+  it('will keep asking for upcoming plays after a server error', async function () {
+    var playRequests = 0;
+
+    Feed.setTransport((url, request) => {
+      if (/\/play$/.test(url) && (++playRequests === 3)) {
+        server.failNext('/play', 503);
+      }
+
+      return server.transport(url, request);
+    });
+
+    var session = new Feed.Session('demo', 'demo', { lookahead: 3 });
+
+    await session.tune();
+    await session.reportPlayStarted();
+
+    // the failed request is retried after half a second
+    await settle(700);
+
+    expect(session.getUpcomingPlays()).to.have.lengthOf(3);
+    expect(server.requestsTo('/play')).to.have.lengthOf(5);
+
+    session.destroy();
+  });
+
+  it('will keep retrying a failed request for a play', async function () {
+    var clock = sinon.useFakeTimers();
+
+    try {
+      for (let i = 0; i < 10; i++) {
+        server.failNext('/play');
+      }
+
+      var session = new Feed.Session('demo', 'demo');
+      var exhausted = false;
+
+      session.on('plays-exhausted', () => { exhausted = true; });
+
+      var tuned = session.tune();
+
+      await clock.tickAsync(60000);
+
+      expect((await tuned).id).to.equal('1');
+      expect(server.requestsTo('/play')).to.have.lengthOf(11);
+      expect(exhausted).to.equal(false);
+
+      session.destroy();
+
+    } finally {
+      clock.restore();
+    }
+  });
+
+  it('will resume a play the server still considers valid', async function () {
+    var first = new Feed.Session('demo', 'demo');
+
+    var play = await first.tune();
+    await first.reportPlayStarted();
+    await settle();
+
+    var state = JSON.parse(JSON.stringify(first.getResumeState()));
+    first.destroy();
+
+    var second = new Feed.Session('demo', 'demo');
+    var resumed = await second.resume(state);
+
+    expect(resumed.id).to.equal(play.id);
+    expect(second.getUpcomingPlay().id).to.equal(state.pendingPlays[0].id);
+
+    // nothing is sent until the play starts again
+    expect(server.requestsTo('/play/' + play.id + '/start')).to.have.lengthOf(1);
+
+    var started = await second.reportPlayStarted();
+
+    // the server says the play already started, which is fine by us
+    expect(started.id).to.equal(play.id);
+    expect(server.requestsTo('/play/' + play.id + '/start')).to.have.lengthOf(2);
+    expect(server.requestsTo('/elapse')).to.be.empty;
+
+    second.destroy();
+  });
+
+  it('will request a new play when the resumed one is no longer valid', async function () {
+    var first = new Feed.Session('demo', 'demo');
+
+    await first.tune();
+
+    var state = first.getResumeState();
+    first.destroy();
+
+    state.play = Object.assign({}, state.play, { id: 'expired' });
+
+    var second = new Feed.Session('demo', 'demo');
+    var resumed = await second.resume(state);
+
+    expect(resumed.id).to.equal('expired');
+    expect(server.requestsTo('/play/expired/start')).to.be.empty;
+
+    var activated = new Promise((resolve) => second.once('play-active', resolve));
+    second.reportPlayStarted();
+
+    var play = await activated;
+
+    expect(play.id).to.not.equal('expired');
+    expect(server.requestsTo('/play/expired/start')).to.have.lengthOf(1);
+
+    second.destroy();
+  });
+
+  it('will hold on to a resumed play while the network is down', async function () {
+    var offline = false;
+
+    Feed.setTransport((url, request) => {
+      if (offline && /\/start$/.test(url)) {
+        return Promise.reject(new Error('offline'));
+      }
+
+      return server.transport(url, request);
+    });
+
+    var first = new Feed.Session('demo', 'demo');
+    var play = await first.tune();
+    await first.reportPlayStarted();
+
+    var state = JSON.parse(JSON.stringify(first.getResumeState()));
+    first.destroy();
+
+    offline = true;
+
+    var second = new Feed.Session('demo', 'demo');
+    var errors = [];
+
+    second.on('error', (error) => errors.push(error));
+
+    await second.resume(state);
+    second.reportPlayStarted();
+    await settle();
+
+    expect(errors[0]).to.be.an.instanceof(Feed.NetworkError);
+    expect(second.getActivePlay().id).to.equal(play.id);
+    expect(second.getResumeState().play.id).to.equal(play.id);
+
+    second.destroy();
+  });
+
+  it('will not retry starting a play once it is no longer active', async function () {
+    var starts = 0;
+
+    Feed.setTransport((url, request) => {
+      if (/\/start$/.test(url)) {
+        starts++;
+        return Promise.reject(new Error('offline'));
+      }
+
+      return server.transport(url, request);
+    });
+
+    var session = new Feed.Session('demo', 'demo');
+
+    await session.tune();
+
+    // stop while the failed start is waiting to be retried
+    session.once('error', () => {
+      Promise.resolve().then(() => session.reportPlayStopped(0));
+    });
+    session.reportPlayStarted();
+
+    await settle(50);
+
+    expect(starts).to.equal(1);
+    expect(session.getActivePlay()).to.equal(null);
+
+    session.destroy();
+  });
+
+  it('will switch placements even when re-tuned while the placement is retrieved', async function () {
+    server = new Feed.FakeFeedServer({
+      durationSeconds: 10,
+      placements: [
+        { id: '2', name: 'Gym', stations: [ { id: '20', name: 'Gym floor', on_demand: 0, options: {} } ] }
+      ]
+    });
+
+    var respond = null;
+
+    Feed.setTransport((url, request) => {
+      if (/\/placement\/2/.test(url)) {
+        return new Promise((resolve) => {
+          respond = () => resolve(server.transport(url, request));
+        });
+      }
+
+      return server.transport(url, request);
+    });
+
+    var session = new Feed.Session('demo', 'demo');
+    await session.tune();
+
+    var switched = session.setPlacementId('2');
+    await settle();
+
+    session.tune();
+    respond();
+
+    var play = await switched;
+
+    expect(session.getActivePlacement().id).to.equal('2');
+    expect(play.station.id).to.equal('20');
+
+    session.destroy();
+  });
+
+  it('will only treat placement refusals as an unavailable placement', async function () {
+    var code = null;
+
+    Feed.setTransport((url, request) => {
+      if (/\/placement\/2/.test(url)) {
+        return Promise.resolve({
+          ok: false,
+          status: 403,
+          text: () => Promise.resolve(JSON.stringify({ success: false, error: { code: code, message: 'refused' } }))
+        });
+      }
+
+      return server.transport(url, request);
+    });
+
+    var session = new Feed.Session('demo', 'demo');
+    await session.tune();
+
+    code = 19;
+    expect(await session.setPlacementId('2').catch((e) => e)).to.be.an.instanceof(Feed.MusicUnavailableError);
+
+    code = 5;
+    expect(await session.setPlacementId('2').catch((e) => e)).to.be.an.instanceof(Feed.InvalidCredentialsError);
+
+    code = 0;
+    expect(await session.setPlacementId('2').catch((e) => e)).to.be.an.instanceof(Feed.PlacementUnavailableError);
+
+    session.destroy();
+  });
+
+});
+
+describe('Feed without a DOM', function () {
+
+  var server;
+
+  before(function () {
+    // only Node lets us check this
+    if (typeof window !== 'undefined') {
+      this.skip();
+    }
+  });
+
+  beforeEach(function () {
+    server = new Feed.FakeFeedServer({ durationSeconds: 10 });
+    Feed.setTransport(server.transport);
+  });
+
+  afterEach(function () {
+    Feed.setBaseUrl('https://feed.fm');
+    Feed.setTransport(null);
+    Feed.resetClientId();
+  });
+
+  it('will run a Session with a protocol relative base url', async function () {
+    var urls = [];
+
+    Feed.setTransport((url, request) => {
+      urls.push(url);
+      return server.transport(url, request);
+    });
+
+    Feed.setBaseUrl('//feed.fm');
+
+    var session = new Feed.Session('demo', 'demo');
+    var play = await session.tune();
+
+    expect(play.id).to.equal('1');
+    expect(urls.every((url) => url.indexOf('https://feed.fm/') === 0)).to.equal(true);
+
+    session.destroy();
+  });
+
+  it('will run a Listener', async function () {
+    var listener = new Feed.Listener('simulcast-id', {
+      transport: () => Promise.resolve({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({
+          success: true,
+          state: 'playing',
+          seconds_since_start: 0,
+          play: { id: 'simulcast-play', duration_in_seconds: 180 }
+        })
+      })
+    });
+
+    var started = new Promise((resolve) => listener.once('play-started', resolve));
+
+    listener.listen();
+
+    expect((await started).id).to.equal('simulcast-play');
+
+    listener.stop();
+  });
+
+});